@@ -14,20 +14,141 @@
 
 // Configuration
 const CONFIG = {
-    MAX_SAMPLE_RECORDS: 5,
+    SCOPE_TABLES: [], // Only analyze these tables (names or IDs; [] for all)
+    INCLUDE_TABLE_PATTERN: '', // Only analyze tables whose name matches this pattern (case-insensitive)
+    EXCLUDE_TABLE_PATTERN: '', // Skip tables whose name matches this pattern (case-insensitive)
+    SCOPE_FIELD_CATEGORIES: [], // Only analyze fields in these categories ([] for all; primary fields are always kept)
+    MAX_SAMPLE_RECORDS: 5, // Sample records per table; their values are shown per field
+    REDACT_VALUES: false, // Mask sensitive sample and profile values so docs can be shared outside the team
+    REDACT_FIELD_TYPES: ['email', 'phoneNumber', 'singleCollaborator', 'multipleCollaborators', 'createdBy', 'lastModifiedBy', 'multilineText', 'richText'],
+    REDACT_FIELD_NAME_PATTERN: 'e-?mail|phone|mobile|address|birth|ssn|passport|salary', // Also mask fields whose name matches (case-insensitive)
     SHOW_FIELD_IDS: true,
     SHOW_RELATIONSHIPS: true,
+    INFER_CARDINALITY: false, // Scan link values to infer the actual cardinality (slower)
     SHOW_STATISTICS: true,
-    EXPORT_FORMAT: 'json' // 'json', 'markdown', or 'csv'
+    ANALYZE_DEPENDENCIES: true,
+    MAX_LOOKUP_DEPTH: 2, // Lookup/rollup chains deeper than this are flagged
+    SCAN_RECORDS: true, // Load records for counts, samples and profiles (structure only when false)
+    SCAN_BATCH_SIZE: 5, // Tables whose records are loaded at the same time
+    TIME_BUDGET_SECONDS: 240, // Stop record scans after this long and keep partial results (0 for no limit)
+    PROFILE_DATA: false, // Load cell values to profile every field (slower)
+    PROFILE_TOP_VALUES: 5,
+    ANALYZE_CHOICE_USAGE: true, // Count the records using each select choice (loads select fields only)
+    ADVISE_FIELD_TYPES: true, // Inspect text values and suggest better field types (loads text fields)
+    ADVISE_NORMALIZATION: true, // Find choice lists and entity names repeated across tables
+    RUN_AUDIT: true,
+    FIELD_NAME_PATTERN: '^[A-Z0-9]', // Audit: field names must match this pattern ('' to skip)
+    LINT_RULES: {
+        'missing-table-description': 'warning',
+        'missing-field-description': 'info',
+        'invalid-formula': 'error',
+        'field-naming': 'warning',
+        'near-duplicate-field-names': 'warning',
+        'default-view-only': 'info',
+        'single-choice-select': 'warning',
+        'isolated-table': 'info'
+    },
+    SAVE_SNAPSHOTS: false, // Save every analysis into the snapshot history table
+    SNAPSHOT_TABLE_NAME: 'Schema Snapshots',
+    EXPORT_FORMAT: 'json' // Default choice in Export Data (nothing is exported automatically); any value from EXPORT_FORMATS
 };
 
+// Settings every profile starts from
+const DEFAULT_SETTINGS = JSON.parse(JSON.stringify(CONFIG));
+
+// Validation rules for every setting a profile can hold
+const SETTING_RULES = {
+    SCOPE_TABLES: { type: 'nameList' },
+    INCLUDE_TABLE_PATTERN: { type: 'pattern' },
+    EXCLUDE_TABLE_PATTERN: { type: 'pattern' },
+    SCOPE_FIELD_CATEGORIES: { type: 'categoryList' },
+    MAX_SAMPLE_RECORDS: { type: 'integer', min: 0, max: 10 },
+    REDACT_VALUES: { type: 'boolean' },
+    REDACT_FIELD_TYPES: { type: 'fieldTypeList' },
+    REDACT_FIELD_NAME_PATTERN: { type: 'pattern' },
+    SHOW_FIELD_IDS: { type: 'boolean' },
+    SHOW_RELATIONSHIPS: { type: 'boolean' },
+    INFER_CARDINALITY: { type: 'boolean' },
+    SHOW_STATISTICS: { type: 'boolean' },
+    ANALYZE_DEPENDENCIES: { type: 'boolean' },
+    MAX_LOOKUP_DEPTH: { type: 'integer', min: 1, max: 10 },
+    SCAN_RECORDS: { type: 'boolean' },
+    SCAN_BATCH_SIZE: { type: 'integer', min: 1, max: 20 },
+    TIME_BUDGET_SECONDS: { type: 'integer', min: 0, max: 3600 },
+    PROFILE_DATA: { type: 'boolean' },
+    PROFILE_TOP_VALUES: { type: 'integer', min: 1, max: 20 },
+    ANALYZE_CHOICE_USAGE: { type: 'boolean' },
+    ADVISE_FIELD_TYPES: { type: 'boolean' },
+    ADVISE_NORMALIZATION: { type: 'boolean' },
+    RUN_AUDIT: { type: 'boolean' },
+    FIELD_NAME_PATTERN: { type: 'pattern' },
+    LINT_RULES: { type: 'lintRules' },
+    SAVE_SNAPSHOTS: { type: 'boolean' },
+    SNAPSHOT_TABLE_NAME: { type: 'name' },
+    EXPORT_FORMAT: { type: 'exportFormat' }
+};
+
+// Built-in profiles: overrides applied on top of DEFAULT_SETTINGS
+const BUILT_IN_PROFILES = {
+    'Quick overview': {
+        MAX_SAMPLE_RECORDS: 0,
+        SCAN_RECORDS: false,
+        INFER_CARDINALITY: false,
+        ANALYZE_DEPENDENCIES: false,
+        PROFILE_DATA: false,
+        RUN_AUDIT: false,
+        EXPORT_FORMAT: 'markdown'
+    },
+    'Full audit': {
+        INFER_CARDINALITY: true,
+        ANALYZE_DEPENDENCIES: true,
+        PROFILE_DATA: true,
+        RUN_AUDIT: true,
+        TIME_BUDGET_SECONDS: 900,
+        LINT_RULES: { 'missing-field-description': 'warning' },
+        EXPORT_FORMAT: 'audit'
+    },
+    'Docs export': {
+        MAX_SAMPLE_RECORDS: 3,
+        REDACT_VALUES: true,
+        SHOW_FIELD_IDS: false,
+        PROFILE_DATA: false,
+        RUN_AUDIT: false,
+        SAVE_SNAPSHOTS: true,
+        EXPORT_FORMAT: 'html'
+    }
+};
+
+// Saved profiles live in this table: one row per profile with its settings as JSON
+const PROFILE_TABLE_NAME = 'Schema Analyzer Profiles';
+
+// Export formats offered by exportSchema()
+const EXPORT_FORMATS = [
+    { label: '📄 JSON', value: 'json' },
+    { label: '📝 Markdown', value: 'markdown' },
+    { label: '🌐 HTML Report', value: 'html' },
+    { label: '📊 CSV Bundle', value: 'csv' },
+    { label: '🧩 Impact Report', value: 'impact' },
+    { label: '🩺 Audit Report', value: 'audit' },
+    { label: '🧹 Choice Cleanup Report', value: 'choices' },
+    { label: '🧭 Field Type Advice', value: 'typeadvice' },
+    { label: '🧩 Normalization Advice', value: 'normalization' },
+    { label: '🧜 Mermaid ER Diagram', value: 'mermaid' },
+    { label: '🕸️ Graphviz DOT', value: 'dot' },
+    { label: '🌱 PlantUML', value: 'plantuml' },
+    { label: '🟦 TypeScript Types', value: 'typescript' },
+    { label: '✅ JSON Schema', value: 'jsonschema' },
+    { label: '🗄️ SQL DDL', value: 'sql' },
+    { label: '🏗️ Rebuild Script', value: 'rebuild' }
+];
+
 // Field type mapping for better categorization
 const FIELD_TYPE_CATEGORIES = {
     TEXT: ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber'],
     NUMERIC: ['number', 'percent', 'currency', 'rating', 'duration'],
     DATE: ['date', 'dateTime', 'createdTime', 'lastModifiedTime'],
     SELECT: ['singleSelect', 'multipleSelects'],
-    RELATIONAL: ['multipleRecordLinks', 'lookup', 'rollup', 'count'],
+    RELATIONAL: ['multipleRecordLinks', 'lookup', 'multipleLookupValues', 'rollup', 'count'],
     ATTACHMENT: ['multipleAttachments'],
     CHECKBOX: ['checkbox'],
     USER: ['singleCollaborator', 'multipleCollaborators', 'createdBy', 'lastModifiedBy'],
@@ -35,6 +156,125 @@ const FIELD_TYPE_CATEGORIES = {
     OTHER: ['barcode', 'externalSyncSource']
 };
 
+// Audit rules: severity is configured per rule in CONFIG.LINT_RULES ('error', 'warning', 'info' or 'off')
+const LINT_RULE_DESCRIPTIONS = {
+    'missing-table-description': 'Tables without a description',
+    'missing-field-description': 'Fields without a description',
+    'invalid-formula': 'Formula fields with an invalid formula',
+    'field-naming': 'Field names that do not match FIELD_NAME_PATTERN',
+    'near-duplicate-field-names': 'Field names in the same table that differ only slightly',
+    'default-view-only': 'Tables with no views beyond the default',
+    'single-choice-select': 'Single select fields with only one choice',
+    'isolated-table': 'Tables with no links to or from other tables'
+};
+
+const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+// Structural complexity: a weighted sum of these counts, rated by the first threshold it stays under
+const COMPLEXITY_WEIGHTS = {
+    tables: 2,
+    fields: 0.2,
+    computedFields: 0.3,
+    linkedTablePairs: 3,
+    longestPathLength: 2,
+    hubTables: 4,
+    dependencyCycles: 5
+};
+const COMPLEXITY_RATINGS = [[30, 'low'], [80, 'moderate'], [160, 'high'], [Infinity, 'very high']];
+
+// A hub links to or from at least this many tables, and at least twice as many as the average table
+const HUB_MIN_LINKED_TABLES = 3;
+
+// Field type advisor: the text fields it inspects and the thresholds for its suggestions
+const ADVISOR_FIELD_TYPES = ['singleLineText', 'multilineText'];
+const ADVISOR_MIN_VALUES = 3; // Fields with fewer filled cells get no advice
+const ADVISOR_MAX_CHOICES = 20; // Fields with more distinct values are not suggested as selects
+const ADVISOR_TRACKED_VALUES = 1000; // Distinct values kept in memory per field for the linked record check
+const ADVISOR_CONFIDENCE = [[98, 'high'], [90, 'medium'], [75, 'low']]; // Minimum match rate (%) per confidence level
+const NORMALIZATION_MIN_OVERLAP = 60; // Minimum overlap (%) between two fields' values to suggest a shared table
+const ADVISOR_VALUE_PATTERNS = {
+    number: /^[-+]?[$€£¥]?\s?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?\s?%?$/,
+    date: /^(?:\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{2,4}|[A-Za-z]{3,9}\.? \d{1,2},? \d{4})(?:[T ,]+\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?: ?[AP]M)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^(?:https?:\/\/|www\.)\S+$/i,
+    checkbox: /^(?:yes|no|true|false|y|n|x|✓|✔|checked|unchecked)$/i
+};
+
+// Snapshot history table: one row per chunk of a snapshot's JSON (long text cells hold up to 100,000 characters)
+const SNAPSHOT_CHUNK_SIZE = 90000;
+const SNAPSHOT_TABLE_FIELDS = [
+    { name: 'Snapshot', type: 'singleLineText' },
+    { name: 'Generated At', type: 'dateTime', options: { dateFormat: { name: 'iso' }, timeFormat: { name: '24hour' }, timeZone: 'utc' } },
+    { name: 'Base Name', type: 'singleLineText' },
+    { name: 'Part', type: 'number', options: { precision: 0 } },
+    { name: 'Parts', type: 'number', options: { precision: 0 } },
+    { name: 'Tables', type: 'number', options: { precision: 0 } },
+    { name: 'Fields', type: 'number', options: { precision: 0 } },
+    { name: 'Views', type: 'number', options: { precision: 0 } },
+    { name: 'Records', type: 'number', options: { precision: 0 } },
+    { name: 'Relationships', type: 'number', options: { precision: 0 } },
+    { name: 'Schema JSON', type: 'multilineText' }
+];
+
+// Base colors of Airtable select choices; shades (Light1, Light2, Dark1) are mixed from these
+const AIRTABLE_COLOR_HEX = {
+    blue: '#2d7ff9',
+    cyan: '#18bfff',
+    teal: '#20d9d2',
+    green: '#20c933',
+    yellow: '#fcb400',
+    orange: '#ff6f2c',
+    red: '#f82b60',
+    pink: '#ff08c2',
+    purple: '#8b46ff',
+    gray: '#666666'
+};
+
+// Inline stylesheet and script of the HTML report
+const HTML_REPORT_STYLE = `body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2933; }
+#sidebar { position: fixed; top: 0; bottom: 0; left: 0; width: 240px; overflow-y: auto; padding: 16px; background: #f5f7fa; border-right: 1px solid #e4e7eb; box-sizing: border-box; }
+#sidebar h2 { font-size: 16px; margin: 0 0 12px; }
+#sidebar ul { list-style: none; padding: 0; margin: 12px 0 0; }
+#sidebar li { margin: 4px 0; }
+#search { width: 100%; padding: 6px 8px; box-sizing: border-box; border: 1px solid #cbd2d9; border-radius: 4px; }
+main { margin-left: 240px; padding: 24px 32px; max-width: 1200px; }
+a { color: #2d7ff9; text-decoration: none; }
+a:hover { text-decoration: underline; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+table.compact { width: auto; }
+th, td { border: 1px solid #e4e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+td ul { margin: 0; padding-left: 16px; }
+code { font-size: 12px; color: #616e7c; }
+details.table { border: 1px solid #e4e7eb; border-radius: 6px; padding: 0 16px; margin: 16px 0; }
+details.table > summary { cursor: pointer; display: flex; align-items: baseline; gap: 12px; }
+details.table > summary h2 { display: inline; font-size: 18px; margin: 12px 0; }
+.meta { color: #616e7c; font-size: 12px; }
+.description { font-style: italic; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 8px; background: #e4e7eb; font-size: 11px; }
+.choice { display: inline-block; margin: 1px 4px 1px 0; padding: 0 6px; border: 1px solid #e4e7eb; border-radius: 8px; white-space: nowrap; }
+.swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 50%; }
+.stats { display: flex; flex-wrap: wrap; gap: 12px; }
+.stat { padding: 8px 16px; border: 1px solid #e4e7eb; border-radius: 6px; color: #616e7c; }
+.stat span { display: block; font-size: 20px; font-weight: 600; color: #1f2933; }
+.hidden { display: none; }`;
+
+const HTML_REPORT_SCRIPT = `document.getElementById('search').addEventListener('input', function (event) {
+    var query = event.target.value.trim().toLowerCase();
+    document.querySelectorAll('details.table').forEach(function (section) {
+        var visible = 0;
+        section.querySelectorAll('tr[data-search]').forEach(function (row) {
+            var match = !query || row.getAttribute('data-search').indexOf(query) !== -1;
+            row.classList.toggle('hidden', !match);
+            if (match) visible++;
+        });
+        section.classList.toggle('hidden', visible === 0);
+        if (query && visible > 0) section.open = true;
+        var tocEntry = document.querySelector('#sidebar li[data-table="' + section.getAttribute('data-table') + '"]');
+        if (tocEntry) tocEntry.classList.toggle('hidden', visible === 0);
+    });
+});`;
+
 // Main analyzer class
 class AirtableSchemaAnalyzer {
     constructor() {
@@ -43,9 +283,19 @@ class AirtableSchemaAnalyzer {
             baseId: base.id,
             tables: [],
             relationships: [],
+            externalLinks: [],
+            dependencies: { edges: [], deepLookupChains: [], cycles: [] },
+            audit: { findings: [], counts: {} },
+            normalization: [],
             statistics: {},
+            scope: null,
+            analysis: { complete: true, elapsedSeconds: 0, pendingTableIds: [], pendingRelationshipFieldIds: [], resumedFrom: null },
             generatedAt: new Date().toISOString()
         };
+        this.checkpoint = null;
+        this.redactionAliases = new Map();
+        this.primaryNameSets = new Map(); // table ID -> lower-case primary field values (kept in memory only; re-read on resume)
+        this.textValueSets = new Map(); // field ID -> lower-case value -> value, for the linked record check (checkpointed unless redacted)
     }
 
     // Main analysis function
@@ -54,29 +304,19 @@ class AirtableSchemaAnalyzer {
         output.markdown(`Analyzing base: **${this.schema.baseName}**\n`);
         
         try {
-            // Get all tables
-            const tables = base.tables;
-            
-            if (!tables || tables.length === 0) {
-                output.markdown('❌ **No tables found in this base.**');
+            const completed = await this.runAnalysis();
+            if (!completed) {
                 return;
             }
             
-            this.schema.statistics.totalTables = tables.length;
-            
-            // Analyze each table
-            for (let i = 0; i < tables.length; i++) {
-                await this.analyzeTable(tables[i], i);
-            }
-            
-            // Analyze relationships
-            if (CONFIG.SHOW_RELATIONSHIPS) {
-                this.analyzeRelationships();
-            }
-            
-            // Calculate statistics
-            if (CONFIG.SHOW_STATISTICS) {
-                this.calculateStatistics();
+            // Keep the run in the snapshot history
+            if (CONFIG.SAVE_SNAPSHOTS) {
+                try {
+                    await this.saveSnapshot();
+                } catch (error) {
+                    output.markdown(`⚠️ **Could not save snapshot:** ${error.message}`);
+                    console.error('Snapshot error:', error);
+                }
             }
             
             // Display results
@@ -88,10 +328,217 @@ class AirtableSchemaAnalyzer {
         }
     }
 
-    // Analyze individual table
-    async analyzeTable(table, index) {
-        output.markdown(`\n## 📊 Analyzing table ${index + 1}/${base.tables.length}: **${table.name}**`);
+    // Run every analysis phase without any interaction (shared by the extension and the headless CLI)
+    async runAnalysis() {
+        const baseTables = this.getAnalyzableTables();
+        
+        if (!baseTables || baseTables.length === 0) {
+            output.markdown('❌ **No tables found in this base.**');
+            return false;
+        }
+        
+        // Apply the analysis scope
+        const tables = baseTables.filter(table => this.isTableInScope(table));
+        this.schema.scope = this.getScope(baseTables, tables);
+        if (tables.length === 0) {
+            output.markdown(`❌ **No tables match the analysis scope:** ${this.describeScope()}`);
+            return false;
+        }
+        if (this.schema.scope.isLimited) {
+            output.markdown(`🎯 **Scope:** ${this.describeScope()}`);
+        }
+        
+        this.startedAt = Date.now();
+        this.schema.statistics.totalTables = tables.length;
+        
+        // Phase 1: structure (fields and views, no records)
+        await this.analyzeStructure(tables);
+        
+        // Phase 2: record scans in batches, within the time budget
+        if (CONFIG.SCAN_RECORDS) {
+            await this.scanRecords(tables);
+        }
+        
+        // Suggest better types for text fields from the scanned values
+        if (CONFIG.SCAN_RECORDS && CONFIG.ADVISE_FIELD_TYPES) {
+            this.adviseFieldTypes();
+        }
+        
+        // Look for choice lists and entity names repeated across tables
+        if (CONFIG.ADVISE_NORMALIZATION) {
+            this.schema.normalization = this.findNormalizationCandidates();
+        }
+        
+        // Analyze relationships
+        if (CONFIG.SHOW_RELATIONSHIPS) {
+            await this.analyzeRelationships();
+        }
+        
+        // Analyze field dependencies
+        if (CONFIG.ANALYZE_DEPENDENCIES) {
+            this.analyzeDependencies();
+        }
+        
+        // Calculate statistics
+        if (CONFIG.SHOW_STATISTICS) {
+            this.calculateStatistics();
+        }
+        
+        // Audit the schema against configured rules
+        if (CONFIG.RUN_AUDIT) {
+            this.runAudit();
+        }
+        
+        const analysis = this.schema.analysis;
+        analysis.elapsedSeconds = Math.round((Date.now() - this.startedAt) / 1000);
+        analysis.complete = analysis.pendingTableIds.length === 0 && analysis.pendingRelationshipFieldIds.length === 0;
+        if (!analysis.complete) {
+            output.markdown(`\n⏸️ **Time budget of ${CONFIG.TIME_BUDGET_SECONDS}s reached.** Results are partial; save the checkpoint to resume.`);
+        }
+        
+        return true;
+    }
+
+    // All tables that can be analyzed (the analyzer's own snapshot and profile tables are not part of the documented schema)
+    getAnalyzableTables() {
+        return base.tables.filter(table => table.name !== CONFIG.SNAPSHOT_TABLE_NAME && table.name !== PROFILE_TABLE_NAME);
+    }
+
+    // Whether a table is selected by SCOPE_TABLES and the include/exclude patterns
+    isTableInScope(table) {
+        if (CONFIG.SCOPE_TABLES.length > 0 && !CONFIG.SCOPE_TABLES.includes(table.id) && !CONFIG.SCOPE_TABLES.includes(table.name)) {
+            return false;
+        }
+        if (CONFIG.INCLUDE_TABLE_PATTERN && !new RegExp(CONFIG.INCLUDE_TABLE_PATTERN, 'i').test(table.name)) {
+            return false;
+        }
+        if (CONFIG.EXCLUDE_TABLE_PATTERN && new RegExp(CONFIG.EXCLUDE_TABLE_PATTERN, 'i').test(table.name)) {
+            return false;
+        }
+        return true;
+    }
+
+    // Record the scope that was applied so every export can state it
+    getScope(baseTables, tables) {
+        return {
+            isLimited: tables.length < baseTables.length || CONFIG.SCOPE_FIELD_CATEGORIES.length > 0,
+            tableCount: tables.length,
+            totalTableCount: baseTables.length,
+            selectedTables: [...CONFIG.SCOPE_TABLES],
+            includePattern: CONFIG.INCLUDE_TABLE_PATTERN,
+            excludePattern: CONFIG.EXCLUDE_TABLE_PATTERN,
+            fieldCategories: [...CONFIG.SCOPE_FIELD_CATEGORIES],
+            excludedTables: baseTables.filter(table => !tables.includes(table)).map(table => ({ id: table.id, name: table.name }))
+        };
+    }
+
+    // Whether fields of a category were analyzed
+    isFieldCategoryInScope(category) {
+        const scope = this.schema.scope;
+        return !scope || scope.fieldCategories.length === 0 || scope.fieldCategories.includes(category);
+    }
+
+    // Describe the applied scope on one line
+    describeScope(scope = this.schema.scope) {
+        if (!scope) {
+            return 'All tables';
+        }
+        
+        let text = scope.tableCount === scope.totalTableCount
+            ? `All ${scope.totalTableCount} tables`
+            : `${scope.tableCount} of ${scope.totalTableCount} tables`;
+        const filters = [];
+        if (scope.selectedTables.length > 0) filters.push(`selected: ${scope.selectedTables.join(', ')}`);
+        if (scope.includePattern) filters.push(`include /${scope.includePattern}/`);
+        if (scope.excludePattern) filters.push(`exclude /${scope.excludePattern}/`);
+        if (filters.length > 0) text += ` (${filters.join('; ')})`;
+        if (scope.fieldCategories.length > 0) text += `; field categories: ${scope.fieldCategories.join(', ')} (plus primary fields)`;
+        return text;
+    }
+
+    // One comment line stating a limited scope in code and diagram exports ('' when the whole base was analyzed)
+    getScopeComment(prefix, scope = this.schema.scope) {
+        if (!scope || !scope.isLimited) {
+            return '';
+        }
+        return `${prefix} Scope: ${this.describeScope(scope).replace(/\n/g, ' ')}\n`;
+    }
+
+    // Phase 1: read every table's fields and views
+    async analyzeStructure(tables) {
+        output.markdown('\n## 🏗️ Reading Structure...');
+        const phaseStartedAt = Date.now();
+        
+        for (let i = 0; i < tables.length; i++) {
+            this.schema.tables.push(await this.analyzeTable(tables[i]));
+            
+            if ((i + 1) % CONFIG.SCAN_BATCH_SIZE === 0 || i === tables.length - 1) {
+                this.reportProgress('Structure', i + 1, tables.length, phaseStartedAt);
+            }
+        }
+        
+        // One summary line for fields of types this version does not know, instead of a warning per field
+        const unsupported = this.schema.tables.flatMap(table => table.fields
+            .filter(field => field.isSupportedType === false)
+            .map(field => `${table.name}.${field.name} (\`${field.type}\`)`));
+        if (unsupported.length > 0) {
+            const more = unsupported.length > 10 ? ` and ${unsupported.length - 10} more` : '';
+            output.markdown(`⚠️ **${unsupported.length}** fields have types that are not fully supported; their options are kept as-is: ${unsupported.slice(0, 10).join(', ')}${more}`);
+        }
+    }
+
+    // Phase 2: load records (counts, samples and profiles) a batch of tables at a time
+    async scanRecords(tables) {
+        output.markdown('\n## 📥 Scanning Records...');
+        const phaseStartedAt = Date.now();
+        const restored = this.checkpoint ? this.checkpoint.tables : {};
+        const pending = [];
+        
+        for (const table of tables) {
+            const tableInfo = this.schema.tables.find(t => t.id === table.id);
+            if (restored[table.id]) {
+                this.restoreTableScan(tableInfo, restored[table.id]);
+                if (CONFIG.ADVISE_FIELD_TYPES || CONFIG.ADVISE_NORMALIZATION) {
+                    try {
+                        await this.loadPrimaryNames(table, tableInfo);
+                    } catch (error) {
+                        console.error(`Error reading primary field values of ${table.name}:`, error);
+                    }
+                }
+            } else {
+                pending.push({ table, tableInfo });
+            }
+        }
+        
+        if (pending.length < tables.length) {
+            output.markdown(`Restored **${tables.length - pending.length}** tables from the checkpoint`);
+        }
         
+        for (let start = 0; start < pending.length; start += CONFIG.SCAN_BATCH_SIZE) {
+            if (this.isOverTimeBudget()) {
+                for (const { tableInfo } of pending.slice(start)) {
+                    this.schema.analysis.pendingTableIds.push(tableInfo.id);
+                }
+                break;
+            }
+            
+            const batch = pending.slice(start, start + CONFIG.SCAN_BATCH_SIZE);
+            await Promise.all(batch.map(({ table, tableInfo }) => this.scanTableRecords(table, tableInfo)));
+            this.reportProgress('Records', Math.min(start + batch.length, pending.length), pending.length, phaseStartedAt);
+        }
+    }
+
+    // Re-read a restored table's primary field values (checkpoints do not keep them) for the linked record check
+    async loadPrimaryNames(table, tableInfo) {
+        const query = await table.selectRecordsAsync({ fields: tableInfo.primaryFieldId ? [tableInfo.primaryFieldId] : [] });
+        this.primaryNameSets.set(table.id, new Set(query.records.map(record => String(record.name || '').trim().toLowerCase())));
+        if (query.unloadData) {
+            query.unloadData();
+        }
+    }
+
+    // Analyze the structure of an individual table
+    async analyzeTable(table) {
         // Get primary field safely
         let primaryFieldId = null;
         let primaryFieldName = null;
@@ -114,32 +561,17 @@ class AirtableSchemaAnalyzer {
             fields: [],
             views: [],
             recordCount: 0,
+            recordsScanned: false,
             sampleRecords: []
         };
 
-        // Get record count
-        try {
-            const query = await table.selectRecordsAsync({ fields: [] });
-            tableInfo.recordCount = query.records.length;
-            
-            // Get sample records if needed
-            if (CONFIG.MAX_SAMPLE_RECORDS > 0 && query.records.length > 0) {
-                const sampleSize = Math.min(CONFIG.MAX_SAMPLE_RECORDS, query.records.length);
-                for (let i = 0; i < sampleSize; i++) {
-                    const record = query.records[i];
-                    tableInfo.sampleRecords.push({
-                        id: record.id,
-                        name: record.name || `Record ${i + 1}`
-                    });
-                }
-            }
-        } catch (error) {
-            console.error(`Could not query records for ${table.name}:`, error);
-        }
-
-        // Analyze fields
+        // Analyze fields (limited to the scoped field categories)
         if (table.fields && table.fields.length > 0) {
             for (const field of table.fields) {
+                if (CONFIG.SCOPE_FIELD_CATEGORIES.length > 0 && field.id !== primaryFieldId &&
+                    !CONFIG.SCOPE_FIELD_CATEGORIES.includes(this.getFieldCategory(field.type))) {
+                    continue;
+                }
                 try {
                     const fieldInfo = await this.analyzeField(field, table);
                     tableInfo.fields.push(fieldInfo);
@@ -161,104 +593,1031 @@ class AirtableSchemaAnalyzer {
             }
         }
 
-        this.schema.tables.push(tableInfo);
-        output.markdown(`✅ Completed analysis of **${table.name}**`);
+        return tableInfo;
     }
 
-    // Analyze individual field
-    async analyzeField(field, table) {
-        if (!field || !field.id || !field.name || !field.type) {
-            throw new Error('Field missing required properties');
+    // Load a table's records for its record count, sample records and (when enabled) field profiles
+    async scanTableRecords(table, tableInfo) {
+        let query = null;
+        try {
+            const choiceFieldIds = CONFIG.ANALYZE_CHOICE_USAGE
+                ? tableInfo.fields.filter(f => this.isChoiceField(f)).map(f => f.id)
+                : [];
+            const adviceFieldIds = CONFIG.ADVISE_FIELD_TYPES || CONFIG.ADVISE_NORMALIZATION
+                ? tableInfo.fields.filter(f => ADVISOR_FIELD_TYPES.includes(f.type)).map(f => f.id)
+                : [];
+            query = await table.selectRecordsAsync({ fields: CONFIG.PROFILE_DATA ? table.fields : [...choiceFieldIds, ...adviceFieldIds] });
+            tableInfo.recordCount = query.records.length;
+            tableInfo.recordsScanned = true;
+            
+            // Get sample records with their formatted values per field
+            if (CONFIG.MAX_SAMPLE_RECORDS > 0 && query.records.length > 0) {
+                await this.collectSampleRecords(table, tableInfo, query);
+            }
+        } catch (error) {
+            console.error(`Could not query records for ${table.name}:`, error);
+        }
+
+        // Profile field values
+        if (CONFIG.PROFILE_DATA && query) {
+            for (const fieldInfo of tableInfo.fields) {
+                try {
+                    fieldInfo.profile = this.profileField(table.getField(fieldInfo.id), fieldInfo, query.records);
+                } catch (error) {
+                    console.error(`Error profiling field ${fieldInfo.name}:`, error);
+                }
+            }
         }
         
-        const fieldInfo = {
-            id: field.id,
-            name: field.name,
-            type: field.type,
-            description: field.description || '',
-            category: this.getFieldCategory(field.type),
-            options: {}
-        };
+        // Summarize text values for the field type and normalization advisors
+        if ((CONFIG.ADVISE_FIELD_TYPES || CONFIG.ADVISE_NORMALIZATION) && query) {
+            this.primaryNameSets.set(table.id, new Set(query.records.map(record => String(record.name || '').trim().toLowerCase())));
+            for (const fieldInfo of tableInfo.fields.filter(f => ADVISOR_FIELD_TYPES.includes(f.type))) {
+                try {
+                    fieldInfo.valueStats = this.collectValueStats(table.getField(fieldInfo.id), fieldInfo, query.records);
+                } catch (error) {
+                    console.error(`Error inspecting values of ${fieldInfo.name}:`, error);
+                }
+            }
+        }
+        
+        // Count the records using each select choice
+        if (CONFIG.ANALYZE_CHOICE_USAGE && query) {
+            for (const fieldInfo of tableInfo.fields.filter(f => this.isChoiceField(f))) {
+                try {
+                    fieldInfo.choiceUsage = this.countChoiceUsage(table.getField(fieldInfo.id), fieldInfo, query.records);
+                } catch (error) {
+                    console.error(`Error counting choice usage for ${fieldInfo.name}:`, error);
+                }
+            }
+        }
+        
+        if (query && query.unloadData) {
+            query.unloadData();
+        }
+    }
 
-        // Extract field-specific options
-        if (field.options) {
-            try {
-                fieldInfo.options = this.extractFieldOptions(field);
-            } catch (error) {
-                console.error(`Error extracting options for field ${field.name}:`, error);
+    // Summarize a text field's values: which value patterns they match, how often values repeat and list-like cells
+    collectValueStats(field, fieldInfo, records) {
+        const shown = (value) => fieldInfo.isRedacted ? this.redactText(fieldInfo, value) : value;
+        const stats = { filled: 0, checks: {}, currencyValues: 0, percentValues: 0, valuesWithTime: 0, distinctCount: 0, topValues: [], list: { cells: 0, items: 0, distinctCount: 0, topItems: [] } };
+        for (const check of Object.keys(ADVISOR_VALUE_PATTERNS)) {
+            stats.checks[check] = { matched: 0, failing: [] };
+        }
+        
+        const valueCounts = new Map();
+        const itemCounts = new Map();
+        const tracked = new Map();
+        for (const record of records) {
+            const value = record.getCellValueAsString(field).trim();
+            if (!value) continue;
+            stats.filled++;
+            valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+            if (tracked.size < ADVISOR_TRACKED_VALUES) {
+                tracked.set(value.toLowerCase(), value);
+            }
+            
+            for (const [check, pattern] of Object.entries(ADVISOR_VALUE_PATTERNS)) {
+                const result = stats.checks[check];
+                if (pattern.test(value)) {
+                    result.matched++;
+                } else if (result.failing.length < 5 && !result.failing.includes(shown(value))) {
+                    result.failing.push(shown(value));
+                }
+            }
+            if (/^[-+]?[$€£¥]/.test(value)) stats.currencyValues++;
+            if (/%$/.test(value)) stats.percentValues++;
+            if (ADVISOR_VALUE_PATTERNS.date.test(value) && /\d:\d{2}/.test(value)) stats.valuesWithTime++;
+            
+            // Cells holding several comma, semicolon or line separated items
+            const items = value.split(/\s*[,;\n]\s*/).filter(Boolean);
+            if (items.length > 1) stats.list.cells++;
+            for (const item of items) {
+                stats.list.items++;
+                itemCounts.set(item, (itemCounts.get(item) || 0) + 1);
             }
         }
+        
+        const top = (counts) => [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, ADVISOR_MAX_CHOICES + 1)
+            .map(([value, count]) => ({ value: shown(value), count }));
+        stats.distinctCount = valueCounts.size;
+        stats.topValues = top(valueCounts);
+        stats.list.distinctCount = itemCounts.size;
+        stats.list.topItems = top(itemCounts);
+        this.textValueSets.set(fieldInfo.id, tracked);
+        return stats;
+    }
 
-        // Check if field is computed
-        fieldInfo.isComputed = field.isComputed || false;
+    // Suggest better field types for every inspected text field, strongest suggestion first
+    adviseFieldTypes() {
+        const confidenceFor = (rate) => (ADVISOR_CONFIDENCE.find(([minimum]) => rate >= minimum) || [])[1] || null;
+        const rateOf = (matched, total) => total > 0 ? Math.round((matched / total) * 1000) / 10 : 0;
+        const repetitionConfidence = (total, distinct) => total >= distinct * 5 ? 'high' : (total >= distinct * 3 ? 'medium' : 'low');
+        const confidenceRank = { high: 0, medium: 1, low: 2 };
+        
+        for (const table of this.schema.tables) {
+            for (const fieldInfo of table.fields.filter(f => f.valueStats)) {
+                const stats = fieldInfo.valueStats;
+                const suggestions = [];
+                fieldInfo.typeAdvice = suggestions;
+                if (stats.filled < ADVISOR_MIN_VALUES) continue;
+                
+                // Pattern-based conversions
+                const typeForCheck = {
+                    number: stats.currencyValues > stats.filled / 2 ? 'currency' : (stats.percentValues > stats.filled / 2 ? 'percent' : 'number'),
+                    date: stats.valuesWithTime > 0 ? 'dateTime' : 'date',
+                    email: 'email',
+                    url: 'url',
+                    checkbox: 'checkbox'
+                };
+                for (const [check, suggestedType] of Object.entries(typeForCheck)) {
+                    const result = stats.checks[check];
+                    const matchRate = rateOf(result.matched, stats.filled);
+                    const confidence = confidenceFor(matchRate);
+                    if (!confidence) continue;
+                    suggestions.push({
+                        suggestedType,
+                        confidence,
+                        matchRate,
+                        failingCount: stats.filled - result.matched,
+                        failingValues: result.failing,
+                        reason: `${result.matched} of ${stats.filled} values look like ${check === 'checkbox' ? 'yes/no values' : `${check}s`}`
+                    });
+                }
+                
+                // Few distinct values that repeat: a single select
+                if (stats.distinctCount <= ADVISOR_MAX_CHOICES && stats.filled >= stats.distinctCount * 2 && stats.list.cells === 0) {
+                    suggestions.push({
+                        suggestedType: 'singleSelect',
+                        confidence: repetitionConfidence(stats.filled, stats.distinctCount),
+                        matchRate: 100,
+                        failingCount: 0,
+                        failingValues: [],
+                        choices: stats.topValues.map(v => v.value),
+                        reason: `${stats.distinctCount} distinct values repeated across ${stats.filled} cells`
+                    });
+                }
+                
+                // Separated items from a small set: a multiple select
+                const listRate = rateOf(stats.list.cells, stats.filled);
+                if (listRate >= 30 && stats.list.distinctCount <= ADVISOR_MAX_CHOICES && stats.list.items >= stats.list.distinctCount * 2) {
+                    suggestions.push({
+                        suggestedType: 'multipleSelects',
+                        confidence: repetitionConfidence(stats.list.items, stats.list.distinctCount),
+                        matchRate: 100,
+                        failingCount: 0,
+                        failingValues: [],
+                        choices: stats.list.topItems.map(v => v.value),
+                        reason: `${listRate}% of cells hold separated items from ${stats.list.distinctCount} distinct values`
+                    });
+                }
+                
+                // Values that name records of another table: a linked record field
+                const values = this.textValueSets.get(fieldInfo.id);
+                let bestLink = null;
+                for (const [tableId, names] of this.primaryNameSets) {
+                    if (tableId === table.id || !values || values.size === 0) continue;
+                    const unmatched = [...values.entries()].filter(([key]) => !names.has(key)).map(([, value]) => value);
+                    const matchRate = rateOf(values.size - unmatched.length, values.size);
+                    if (confidenceFor(matchRate) && (!bestLink || matchRate > bestLink.matchRate)) {
+                        bestLink = { tableId, matchRate, unmatched };
+                    }
+                }
+                if (bestLink) {
+                    const linkedTable = this.schema.tables.find(t => t.id === bestLink.tableId);
+                    suggestions.push({
+                        suggestedType: 'multipleRecordLinks',
+                        confidence: confidenceFor(bestLink.matchRate),
+                        matchRate: bestLink.matchRate,
+                        failingCount: bestLink.unmatched.length,
+                        failingValues: bestLink.unmatched.slice(0, 5).map(value => fieldInfo.isRedacted ? this.redactText(fieldInfo, value) : value),
+                        linkedTableId: bestLink.tableId,
+                        linkedTableName: linkedTable ? linkedTable.name : bestLink.tableId,
+                        reason: `${bestLink.matchRate}% of distinct values are primary field values in ${linkedTable ? linkedTable.name : bestLink.tableId}`
+                    });
+                }
+                
+                suggestions.sort((a, b) => confidenceRank[a.confidence] - confidenceRank[b.confidence] || b.matchRate - a.matchRate);
+            }
+        }
+    }
 
-        // For relational fields, store additional info
-        if (field.type === 'multipleRecordLinks' && field.options) {
-            fieldInfo.linkedTableId = field.options.linkedTableId || null;
-            fieldInfo.inverseLinkFieldId = field.options.inverseLinkFieldId || null;
-            fieldInfo.prefersSingleRecordLink = field.options.prefersSingleRecordLink || false;
+    // Describe a type suggestion's target on one line
+    formatSuggestedType(suggestion) {
+        if (suggestion.suggestedType === 'multipleRecordLinks') {
+            return `multipleRecordLinks → ${suggestion.linkedTableName}`;
+        }
+        if (suggestion.choices) {
+            const more = suggestion.choices.length > ADVISOR_MAX_CHOICES ? ', …' : '';
+            return `${suggestion.suggestedType} (${suggestion.choices.slice(0, ADVISOR_MAX_CHOICES).join(', ')}${more})`;
         }
+        return suggestion.suggestedType;
+    }
 
-        return fieldInfo;
+    // Generate the field type advice as Markdown, one row per suggestion
+    generateTypeAdviceReport(includeTitle = true) {
+        let md = '';
+        if (includeTitle) {
+            md += `# Field Type Advice: ${this.schema.baseName}\n\n`;
+            md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+            md += `Scope: ${this.describeScope()}\n\n`;
+        }
+        
+        const inspected = [];
+        for (const table of this.schema.tables) {
+            for (const field of table.fields.filter(f => f.typeAdvice)) {
+                inspected.push({ table, field });
+            }
+        }
+        if (inspected.length === 0) {
+            md += '*No text fields were inspected. Turn on record scans and `ADVISE_FIELD_TYPES` to get field type advice.*\n';
+            return md;
+        }
+        
+        const advised = inspected.filter(entry => entry.field.typeAdvice.length > 0);
+        md += `- Text fields inspected: ${inspected.length}\n`;
+        md += `- Fields with suggestions: ${advised.length}\n\n`;
+        md += '> Suggestions are based on the scanned records only. Values listed under "Would Fail" do not fit the suggested type and are cleared or changed by the conversion; fix them first.\n\n';
+        const uncompared = this.getUncomparedTextFields();
+        if (uncompared.length > 0) {
+            md += `> **Partial link check:** ${uncompared.length} text fields were restored from a checkpoint without their values (redacted values are not saved in it), so they were not checked for linked record names: ${uncompared.map(({ table, field }) => this.escapeMarkdownCell(`${table.name}.${field.name}`)).join(', ')}.\n\n`;
+        }
+        
+        if (advised.length === 0) {
+            md += '✅ *Every inspected text field looks like free text.*\n';
+            return md;
+        }
+        
+        md += '| Field | Current Type | Suggested Type | Confidence | Matching | Would Fail |\n';
+        md += '|-------|--------------|----------------|------------|----------|------------|\n';
+        for (const { table, field } of advised) {
+            for (const suggestion of field.typeAdvice) {
+                const failing = suggestion.failingCount > 0
+                    ? `${suggestion.failingCount}: ${suggestion.failingValues.map(value => `"${value}"`).join(', ')}${suggestion.failingCount > suggestion.failingValues.length ? ', …' : ''}`
+                    : '-';
+                const cells = [`${table.name}.${field.name}`, field.type, this.formatSuggestedType(suggestion), suggestion.confidence, `${suggestion.matchRate}%`, failing]
+                    .map(cell => String(cell).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+                md += `| ${cells.join(' | ')} |\n`;
+            }
+        }
+        
+        return md;
     }
 
-    // Extract field options based on type
-    extractFieldOptions(field) {
-        const options = {};
+    // Display the field type advisor page
+    async displayTypeAdvice() {
+        output.clear();
+        output.markdown('# 🧭 Field Type Advisor\n');
+        output.markdown(this.generateTypeAdviceReport(false));
         
-        if (!field.options) {
-            return options;
+        if (!this.schema.tables.some(t => t.fields.some(f => f.typeAdvice && f.typeAdvice.length > 0))) {
+            return;
         }
         
-        try {
-            switch (field.type) {
-                case 'singleSelect':
-                case 'multipleSelects':
-                    if (field.options.choices) {
-                        options.choices = field.options.choices.map(choice => ({
-                            id: choice.id || 'unknown',
-                            name: choice.name || 'Unnamed',
-                            color: choice.color || 'default'
-                        }));
-                    }
-                    break;
-                    
-                case 'number':
-                case 'percent':
-                case 'currency':
-                    if (field.options.precision !== undefined) {
-                        options.precision = field.options.precision;
-                    }
-                    if (field.type === 'currency' && field.options.symbol) {
-                        options.symbol = field.options.symbol;
-                    }
-                    break;
-                    
-                case 'date':
-                case 'dateTime':
-                    if (field.options.dateFormat) {
-                        options.dateFormat = field.options.dateFormat;
-                    }
-                    if (field.type === 'dateTime') {
-                        if (field.options.timeFormat) {
-                            options.timeFormat = field.options.timeFormat;
-                        }
-                        if (field.options.timeZone) {
-                            options.timeZone = field.options.timeZone;
-                        }
-                    }
-                    break;
-                    
-                case 'checkbox':
-                    if (field.options.icon) {
-                        options.icon = field.options.icon;
+        const action = await input.buttonsAsync(
+            'Export the advice?',
+            [
+                { label: '📝 Markdown', value: 'markdown' },
+                { label: '← Back', value: 'back' }
+            ]
+        );
+        if (action === 'markdown') {
+            this.displayExportData('FIELD TYPE ADVICE', this.generateTypeAdviceReport());
+        }
+    }
+
+    // Inspected text fields whose values are not in memory (restored from a checkpoint that does not keep them)
+    getUncomparedTextFields() {
+        const fields = [];
+        for (const table of this.schema.tables) {
+            for (const field of table.fields.filter(f => f.valueStats && !this.textValueSets.has(f.id))) {
+                fields.push({ table, field });
+            }
+        }
+        return fields;
+    }
+
+    // Rank suggestions for moving repeated choice lists and entity names into shared tables
+    findNormalizationCandidates() {
+        const suggestions = [];
+        const textFields = [];
+        for (const table of this.schema.tables) {
+            for (const field of table.fields) {
+                const values = this.textValueSets.get(field.id);
+                if (values && values.size >= ADVISOR_MIN_VALUES && field.id !== table.primaryFieldId) {
+                    textFields.push({ table, field, values });
+                }
+            }
+        }
+        
+        // Select fields in different tables with the same or overlapping choices
+        const choiceFields = [];
+        for (const table of this.schema.tables) {
+            for (const field of table.fields.filter(f => this.isChoiceField(f) && f.options.choices.length >= 2)) {
+                const values = new Map(field.options.choices.map(choice => [String(choice.name).trim().replace(/\s+/g, ' ').toLowerCase(), choice.name]));
+                choiceFields.push({ table, field, values });
+            }
+        }
+        for (const group of this.groupOverlappingFields(choiceFields)) {
+            suggestions.push({
+                kind: 'sharedChoices',
+                name: this.getMostCommonFieldName(group),
+                proposal: `Create a "${this.getMostCommonFieldName(group)}" table with one record per choice and replace these select fields with links to it`,
+                ...this.describeOverlapGroup(group)
+            });
+        }
+        
+        // Text fields whose values are mostly primary field values of another table
+        const matchedFieldIds = new Set();
+        for (const [tableId, names] of this.primaryNameSets) {
+            const targetTable = this.schema.tables.find(t => t.id === tableId);
+            if (!targetTable) continue;
+            const fields = [];
+            for (const { table, field, values } of textFields.filter(entry => entry.table.id !== tableId)) {
+                const matched = [...values.keys()].filter(key => names.has(key));
+                const overlap = Math.round((matched.length / values.size) * 100);
+                if (overlap >= NORMALIZATION_MIN_OVERLAP) {
+                    fields.push(this.describeOverlapField(table, field, values.size, overlap));
+                    matchedFieldIds.add(field.id);
+                }
+            }
+            if (fields.length === 0) continue;
+            const overlap = Math.round(fields.reduce((sum, f) => sum + f.overlap, 0) / fields.length);
+            suggestions.push({
+                kind: 'entityNames',
+                name: targetTable.name,
+                proposal: `Replace ${fields.length === 1 ? 'this text field' : 'these text fields'} with links to ${targetTable.name}`,
+                targetTableId: tableId,
+                targetTableName: targetTable.name,
+                overlap,
+                score: overlap * (fields.length + 1),
+                fields,
+                commonValues: []
+            });
+        }
+        
+        // Text fields in different tables repeating the same values, with no table holding them yet
+        for (const group of this.groupOverlappingFields(textFields.filter(entry => !matchedFieldIds.has(entry.field.id)))) {
+            const name = this.getMostCommonFieldName(group);
+            suggestions.push({
+                kind: 'sharedValues',
+                name,
+                proposal: `Create a "${name}" table from the combined values and replace these text fields with links to it`,
+                ...this.describeOverlapGroup(group)
+            });
+        }
+        
+        return suggestions.sort((a, b) => b.score - a.score || b.overlap - a.overlap || a.name.localeCompare(b.name));
+    }
+
+    // Group fields from different tables whose value sets overlap (Jaccard index) by at least NORMALIZATION_MIN_OVERLAP
+    groupOverlappingFields(entries) {
+        const parent = entries.map((entry, index) => index);
+        const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]));
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                if (entries[i].table.id === entries[j].table.id) continue;
+                const a = entries[i].values;
+                const b = entries[j].values;
+                const shared = [...a.keys()].filter(key => b.has(key)).length;
+                const union = a.size + b.size - shared;
+                if (union > 0 && (shared / union) * 100 >= NORMALIZATION_MIN_OVERLAP) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+        
+        const groups = new Map();
+        entries.forEach((entry, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(entry);
+        });
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+
+    // Per-field overlap (share of a field's values found in another field of the group) and the values the group shares
+    describeOverlapGroup(group) {
+        const fieldCounts = new Map();
+        for (const { values } of group) {
+            for (const key of values.keys()) {
+                fieldCounts.set(key, (fieldCounts.get(key) || 0) + 1);
+            }
+        }
+        
+        const fields = group.map(({ table, field, values }) => {
+            const shared = [...values.keys()].filter(key => fieldCounts.get(key) > 1).length;
+            return this.describeOverlapField(table, field, values.size, Math.round((shared / values.size) * 100));
+        });
+        const overlap = Math.round(fields.reduce((sum, f) => sum + f.overlap, 0) / fields.length);
+        const redacted = group.some(({ field }) => field.isRedacted);
+        const displayValues = new Map();
+        for (const { values } of group) {
+            for (const [key, value] of values) {
+                if (!displayValues.has(key)) displayValues.set(key, value);
+            }
+        }
+        const commonValues = [...fieldCounts.entries()]
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, 10)
+            .map(([key]) => redacted ? '[redacted]' : displayValues.get(key));
+        
+        return { overlap, score: overlap * group.length, fields, commonValues };
+    }
+
+    // One field's entry in a normalization suggestion
+    describeOverlapField(table, field, valueCount, overlap) {
+        return { tableId: table.id, tableName: table.name, fieldId: field.id, fieldName: field.name, type: field.type, valueCount, overlap };
+    }
+
+    // The field name used most often in a group, for naming the shared table
+    getMostCommonFieldName(group) {
+        const counts = new Map();
+        for (const { field } of group) {
+            counts.set(field.name, (counts.get(field.name) || 0) + 1);
+        }
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+    }
+
+    // Generate the normalization suggestions as a ranked Markdown list
+    generateNormalizationReport(includeTitle = true) {
+        const kindLabels = { sharedChoices: 'Shared choice list', entityNames: 'Text naming records of', sharedValues: 'Repeated text values' };
+        const suggestions = this.schema.normalization || [];
+        let md = '';
+        if (includeTitle) {
+            md += `# Normalization Advice: ${this.schema.baseName}\n\n`;
+            md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+            md += `Scope: ${this.describeScope()}\n\n`;
+        }
+        
+        const countOf = (kind) => suggestions.filter(suggestion => suggestion.kind === kind).length;
+        md += `- Suggestions: ${suggestions.length}\n`;
+        md += `- Shared choice lists: ${countOf('sharedChoices')}\n`;
+        md += `- Text fields naming records of another table: ${countOf('entityNames')}\n`;
+        md += `- Repeated text values: ${countOf('sharedValues')}\n\n`;
+        
+        const uncompared = this.getUncomparedTextFields();
+        if (!this.schema.tables.some(table => table.fields.some(field => field.valueStats))) {
+            md += '> Text values were not inspected (record scan or `ADVISE_NORMALIZATION` off), so only choice lists were compared.\n\n';
+        } else if (uncompared.length > 0) {
+            md += `> **Partial text comparison:** ${uncompared.length} text fields were restored from a checkpoint without their values (redacted values are not saved in it), so they were not compared: ${uncompared.map(({ table, field }) => this.escapeMarkdownCell(`${table.name}.${field.name}`)).join(', ')}.\n\n`;
+        }
+        md += `> Overlap is the share of a field's distinct values (or choices) found in the other fields or the linked table; fields are grouped from ${NORMALIZATION_MIN_OVERLAP}% overlap. Suggestions are ranked by overlap and the number of fields involved.\n\n`;
+        
+        if (suggestions.length === 0) {
+            md += '✅ *No repeated choice lists or entity names found.*\n';
+            return md;
+        }
+        
+        suggestions.forEach((suggestion, index) => {
+            const title = suggestion.kind === 'entityNames' ? `${kindLabels.entityNames} ${suggestion.name}` : `${kindLabels[suggestion.kind]}: "${suggestion.name}"`;
+            md += `### ${index + 1}. ${title} (${suggestion.fields.length} field${suggestion.fields.length === 1 ? '' : 's'}, ${suggestion.overlap}% overlap)\n\n`;
+            md += `${suggestion.proposal}.\n\n`;
+            md += '| Field | Type | Values | Overlap |\n';
+            md += '|-------|------|--------|---------|\n';
+            for (const field of suggestion.fields) {
+                const cells = [`${field.tableName}.${field.fieldName}`, field.type, field.valueCount, `${field.overlap}%`]
+                    .map(cell => String(cell).replace(/\|/g, '\\|'));
+                md += `| ${cells.join(' | ')} |\n`;
+            }
+            if (suggestion.commonValues.length > 0) {
+                md += `\nShared values: ${suggestion.commonValues.map(value => `"${value}"`).join(', ')}\n`;
+            }
+            md += '\n';
+        });
+        
+        return md;
+    }
+
+    // Display the normalization advisor page
+    async displayNormalization() {
+        output.clear();
+        output.markdown('# 🧩 Normalization Advisor\n');
+        output.markdown(this.generateNormalizationReport(false));
+        
+        if ((this.schema.normalization || []).length === 0) {
+            return;
+        }
+        
+        const action = await input.buttonsAsync(
+            'Export the suggestions?',
+            [
+                { label: '📝 Markdown', value: 'markdown' },
+                { label: '← Back', value: 'back' }
+            ]
+        );
+        if (action === 'markdown') {
+            this.displayExportData('NORMALIZATION ADVICE', this.generateNormalizationReport());
+        }
+    }
+
+    // Whether a field stores values from its own choice list
+    isChoiceField(fieldInfo) {
+        return (fieldInfo.type === 'singleSelect' || fieldInfo.type === 'multipleSelects') &&
+            Boolean(fieldInfo.options && fieldInfo.options.choices);
+    }
+
+    // Count records per choice and collect cell values that match no choice
+    countChoiceUsage(field, fieldInfo, records) {
+        const counts = {};
+        for (const choice of fieldInfo.options.choices) {
+            counts[choice.id] = 0;
+        }
+        const orphanCounts = new Map();
+        
+        for (const record of records) {
+            const value = record.getCellValue(field);
+            if (!value) continue;
+            
+            for (const item of Array.isArray(value) ? value : [value]) {
+                const choice = fieldInfo.options.choices.find(c => (item.id && c.id === item.id) || (!item.id && c.name === item.name));
+                if (choice) {
+                    counts[choice.id]++;
+                } else {
+                    const name = item.name || String(item);
+                    orphanCounts.set(name, (orphanCounts.get(name) || 0) + 1);
+                }
+            }
+        }
+        
+        return {
+            recordsChecked: records.length,
+            counts,
+            orphanValues: [...orphanCounts.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([name, count]) => ({ name, count }))
+        };
+    }
+
+    // Choices whose names differ only by case or whitespace, grouped (most used choice first)
+    findDuplicateChoices(fieldInfo) {
+        const groups = new Map();
+        for (const choice of fieldInfo.options.choices || []) {
+            const key = String(choice.name).trim().replace(/\s+/g, ' ').toLowerCase();
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(choice);
+        }
+        const usage = fieldInfo.choiceUsage ? fieldInfo.choiceUsage.counts : {};
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => group.sort((a, b) => (usage[b.id] || 0) - (usage[a.id] || 0)));
+    }
+
+    // Choices no scanned record uses (empty when usage was not counted)
+    getUnusedChoices(fieldInfo) {
+        if (!fieldInfo.choiceUsage) return [];
+        return fieldInfo.options.choices.filter(choice => !fieldInfo.choiceUsage.counts[choice.id]);
+    }
+
+    // Store the first MAX_SAMPLE_RECORDS records with a display value for every analyzed field
+    async collectSampleRecords(table, tableInfo, query) {
+        const sampleIds = query.records.slice(0, CONFIG.MAX_SAMPLE_RECORDS).map(record => record.id);
+        
+        // Profiling already loaded every cell; otherwise load the cells of the sample records only
+        let sampleQuery = null;
+        if (!CONFIG.PROFILE_DATA) {
+            sampleQuery = await table.selectRecordsAsync({ fields: tableInfo.fields.map(f => f.id), recordIds: sampleIds });
+        }
+        const records = (sampleQuery || query).records.filter(record => sampleIds.includes(record.id));
+        const primaryField = tableInfo.fields.find(f => f.id === tableInfo.primaryFieldId);
+        
+        records.forEach((record, index) => {
+            const values = {};
+            for (const fieldInfo of tableInfo.fields) {
+                try {
+                    const value = this.formatSampleValue(record, table.getField(fieldInfo.id), fieldInfo);
+                    if (value !== null) {
+                        values[fieldInfo.id] = value;
                     }
-                    if (field.options.color) {
-                        options.color = field.options.color;
+                } catch (error) {
+                    console.error(`Error reading sample value for ${fieldInfo.name}:`, error);
+                }
+            }
+            
+            const name = record.name || `Record ${index + 1}`;
+            tableInfo.sampleRecords.push({
+                id: record.id,
+                name: primaryField && primaryField.isRedacted ? this.redactText(primaryField, name) : name,
+                values
+            });
+        });
+        
+        if (sampleQuery && sampleQuery.unloadData) {
+            sampleQuery.unloadData();
+        }
+    }
+
+    // Format a cell as a short display string (select, link, attachment and collaborator names; masked when redacted)
+    formatSampleValue(record, field, fieldInfo) {
+        const value = record.getCellValue(field);
+        if (this.isEmptyCellValue(value)) {
+            return null;
+        }
+        
+        // Objects are named by their items; numbers and dates use the field's own formatting
+        let items = typeof value === 'object'
+            ? this.getCellValueItems(value)
+            : [record.getCellValueAsString(field) || String(value)];
+        const redactingField = this.getRedactingField(fieldInfo);
+        if (redactingField) {
+            items = items.map(item => this.redactText(redactingField, item));
+        }
+        
+        const text = items.join(', ').replace(/\s+/g, ' ').trim();
+        return text.length > 100 ? `${text.slice(0, 99)}…` : text;
+    }
+
+    // Distinct sample values of a field, in sample record order
+    getFieldSampleValues(table, fieldId) {
+        const values = (table.sampleRecords || [])
+            .map(record => record.values && record.values[fieldId])
+            .filter(value => value !== undefined && value !== null);
+        return [...new Set(values)];
+    }
+
+    // Whether a field's values are masked: by field type (or a lookup/formula result type) or by name
+    isSensitiveField(fieldInfo) {
+        const resultType = fieldInfo.options && fieldInfo.options.result && fieldInfo.options.result.type;
+        if (CONFIG.REDACT_FIELD_TYPES.includes(fieldInfo.type) || (resultType && CONFIG.REDACT_FIELD_TYPES.includes(resultType))) {
+            return true;
+        }
+        return Boolean(CONFIG.REDACT_FIELD_NAME_PATTERN) && new RegExp(CONFIG.REDACT_FIELD_NAME_PATTERN, 'i').test(fieldInfo.name);
+    }
+
+    // Field whose masking applies to a field's values: the field itself, or for a link the linked table's primary field
+    getRedactingField(fieldInfo) {
+        if (fieldInfo.isRedacted) {
+            return fieldInfo;
+        }
+        if (!CONFIG.REDACT_VALUES || fieldInfo.type !== 'multipleRecordLinks' || !fieldInfo.linkedTableId) {
+            return null;
+        }
+        
+        // Linked records are named by their primary field value; tables outside the scope are checked directly
+        const linkedTable = this.schema.tables.find(t => t.id === fieldInfo.linkedTableId);
+        if (linkedTable) {
+            const primaryField = linkedTable.fields.find(f => f.id === linkedTable.primaryFieldId);
+            return primaryField && primaryField.isRedacted ? primaryField : null;
+        }
+        const table = base.getTableIfExists(fieldInfo.linkedTableId);
+        return table && table.primaryField && this.isSensitiveField(table.primaryField) ? table.primaryField : null;
+    }
+
+    // Mask one display value of a redacted field, keeping only its shape
+    redactText(fieldInfo, text) {
+        const type = (fieldInfo.options && fieldInfo.options.result && fieldInfo.options.result.type) || fieldInfo.type;
+        const value = String(text);
+        
+        if (FIELD_TYPE_CATEGORIES.USER.includes(type)) {
+            // The same person gets the same alias everywhere in the analysis
+            if (!this.redactionAliases.has(value)) {
+                this.redactionAliases.set(value, `Collaborator ${this.redactionAliases.size + 1}`);
+            }
+            return this.redactionAliases.get(value);
+        }
+        if (type === 'email' || /^[^@\s]+@[^@\s]+$/.test(value)) {
+            return this.maskEmail(value);
+        }
+        if (type === 'phoneNumber') {
+            return value.replace(/\d(?=(?:\D*\d){2})/g, '•');
+        }
+        return `[redacted, ${value.length} chars]`;
+    }
+
+    // Mask an email address, keeping the first letter and the top-level domain
+    maskEmail(email) {
+        const [local, domain = ''] = String(email).split('@');
+        const topLevel = domain.includes('.') ? domain.slice(domain.lastIndexOf('.')) : '';
+        return `${local.charAt(0)}•••@•••${topLevel}`;
+    }
+
+    // Whether the time budget for record scans has been used up
+    isOverTimeBudget() {
+        return CONFIG.TIME_BUDGET_SECONDS > 0 && Date.now() - this.startedAt > CONFIG.TIME_BUDGET_SECONDS * 1000;
+    }
+
+    // Print a progress line with elapsed and estimated remaining time
+    reportProgress(label, done, total, phaseStartedAt) {
+        const percentage = total > 0 ? Math.round((done / total) * 100) : 100;
+        const phaseElapsed = Date.now() - phaseStartedAt;
+        const remaining = done > 0 ? (phaseElapsed / done) * (total - done) : 0;
+        let line = `⏳ **${label}:** ${done}/${total} (${percentage}%) · elapsed ${this.formatDuration(Date.now() - this.startedAt)}`;
+        if (done < total) {
+            line += ` · about ${this.formatDuration(remaining)} left`;
+        }
+        output.markdown(line);
+    }
+
+    // Format milliseconds as m:ss or h:mm:ss
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.round(milliseconds / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    // Serialize the record-scan results so a partial analysis can be resumed
+    createCheckpoint() {
+        const tables = {};
+        for (const table of this.schema.tables) {
+            if (!table.recordsScanned) continue;
+            const profiles = {};
+            const choiceUsage = {};
+            const valueStats = {};
+            const textValues = {};
+            const maskedFieldIds = [];
+            for (const field of table.fields) {
+                if (field.profile) {
+                    profiles[field.id] = field.profile;
+                }
+                if (field.choiceUsage) {
+                    choiceUsage[field.id] = field.choiceUsage;
+                }
+                if (field.valueStats) {
+                    valueStats[field.id] = field.valueStats;
+                }
+                // Raw values of redacted fields stay out of the checkpoint; those fields are reported as not compared
+                if (this.textValueSets.has(field.id) && !field.isRedacted) {
+                    textValues[field.id] = [...this.textValueSets.get(field.id).values()];
+                }
+                if (this.getRedactingField(field)) {
+                    maskedFieldIds.push(field.id);
+                }
+            }
+            tables[table.id] = { recordCount: table.recordCount, sampleRecords: table.sampleRecords, profiles, choiceUsage, valueStats, textValues, maskedFieldIds };
+        }
+        
+        const inferredCardinality = {};
+        for (const relationship of this.schema.relationships) {
+            if (relationship.inferredCardinality) {
+                inferredCardinality[relationship.fromFieldId] = relationship.inferredCardinality;
+            }
+        }
+        
+        return JSON.stringify({
+            type: 'schema-analyzer-checkpoint',
+            version: 1,
+            baseId: this.schema.baseId,
+            createdAt: new Date().toISOString(),
+            settings: {
+                MAX_SAMPLE_RECORDS: CONFIG.MAX_SAMPLE_RECORDS,
+                REDACT_VALUES: CONFIG.REDACT_VALUES,
+                REDACT_FIELD_TYPES: CONFIG.REDACT_FIELD_TYPES,
+                REDACT_FIELD_NAME_PATTERN: CONFIG.REDACT_FIELD_NAME_PATTERN,
+                PROFILE_DATA: CONFIG.PROFILE_DATA,
+                PROFILE_TOP_VALUES: CONFIG.PROFILE_TOP_VALUES,
+                INFER_CARDINALITY: CONFIG.INFER_CARDINALITY,
+                ANALYZE_CHOICE_USAGE: CONFIG.ANALYZE_CHOICE_USAGE,
+                ADVISE_FIELD_TYPES: CONFIG.ADVISE_FIELD_TYPES,
+                ADVISE_NORMALIZATION: CONFIG.ADVISE_NORMALIZATION,
+                SCOPE_TABLES: CONFIG.SCOPE_TABLES,
+                INCLUDE_TABLE_PATTERN: CONFIG.INCLUDE_TABLE_PATTERN,
+                EXCLUDE_TABLE_PATTERN: CONFIG.EXCLUDE_TABLE_PATTERN,
+                SCOPE_FIELD_CATEGORIES: CONFIG.SCOPE_FIELD_CATEGORIES
+            },
+            tables,
+            inferredCardinality
+        });
+    }
+
+    // Load a pasted checkpoint; its settings replace the current ones so resumed results stay consistent
+    loadCheckpoint(checkpointInput) {
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(checkpointInput);
+        } catch (error) {
+            output.markdown(`❌ **Could not parse checkpoint:** ${error.message}`);
+            return false;
+        }
+        
+        if (!checkpoint || checkpoint.type !== 'schema-analyzer-checkpoint' || !checkpoint.tables) {
+            output.markdown('❌ **Invalid checkpoint:** expected the checkpoint shown after a partial analysis.');
+            return false;
+        }
+        
+        if (checkpoint.baseId !== this.schema.baseId) {
+            output.markdown(`❌ **Checkpoint is for another base** (${checkpoint.baseId}).`);
+            return false;
+        }
+        
+        // Pasted or edited checkpoints get the same checks as profiles before their settings are applied
+        const settings = checkpoint.settings || {};
+        const errors = validateSettings(settings);
+        if (errors.length > 0) {
+            output.markdown(`❌ **Invalid checkpoint settings:** ${errors.join('; ')}`);
+            return false;
+        }
+        
+        // Redaction that is already on (a profile or --redact) is kept; restoreTableScan() masks the restored values again
+        const redaction = CONFIG.REDACT_VALUES
+            ? { REDACT_VALUES: true, REDACT_FIELD_TYPES: CONFIG.REDACT_FIELD_TYPES, REDACT_FIELD_NAME_PATTERN: CONFIG.REDACT_FIELD_NAME_PATTERN }
+            : {};
+        Object.assign(CONFIG, settings, redaction);
+        this.checkpoint = {
+            tables: checkpoint.tables,
+            inferredCardinality: checkpoint.inferredCardinality || {}
+        };
+        this.schema.analysis.resumedFrom = checkpoint.createdAt || null;
+        return true;
+    }
+
+    // Copy a table's record-scan results from a checkpoint
+    restoreTableScan(tableInfo, saved) {
+        tableInfo.recordCount = saved.recordCount || 0;
+        tableInfo.sampleRecords = saved.sampleRecords || [];
+        tableInfo.recordsScanned = true;
+        for (const field of tableInfo.fields) {
+            if (saved.profiles && saved.profiles[field.id]) {
+                field.profile = saved.profiles[field.id];
+            }
+            if (saved.choiceUsage && saved.choiceUsage[field.id]) {
+                field.choiceUsage = saved.choiceUsage[field.id];
+            }
+            if (saved.valueStats && saved.valueStats[field.id]) {
+                field.valueStats = saved.valueStats[field.id];
+            }
+            if (saved.textValues && Array.isArray(saved.textValues[field.id])) {
+                this.textValueSets.set(field.id, new Map(saved.textValues[field.id].map(value => [String(value).toLowerCase(), String(value)])));
+            }
+        }
+        if (CONFIG.REDACT_VALUES) {
+            this.redactRestoredValues(tableInfo, new Set(saved.maskedFieldIds || []));
+        }
+    }
+
+    // Mask restored samples, profiles and value summaries of fields the checkpoint saved unmasked
+    redactRestoredValues(tableInfo, maskedFieldIds) {
+        for (const field of tableInfo.fields) {
+            const redactingField = this.getRedactingField(field);
+            if (!redactingField || maskedFieldIds.has(field.id)) continue;
+            const mask = (value) => this.redactText(redactingField, value);
+            
+            for (const record of tableInfo.sampleRecords) {
+                if (record.values && record.values[field.id] !== undefined) {
+                    record.values[field.id] = mask(record.values[field.id]);
+                }
+                if (field.id === tableInfo.primaryFieldId) {
+                    record.name = mask(record.name);
+                }
+            }
+            if (field.profile && field.profile.topValues) {
+                field.profile.topValues = field.profile.topValues.map(entry => ({ ...entry, value: mask(entry.value) }));
+            }
+            if (field.valueStats) {
+                const stats = field.valueStats;
+                stats.topValues = stats.topValues.map(entry => ({ ...entry, value: mask(entry.value) }));
+                stats.list.topItems = stats.list.topItems.map(entry => ({ ...entry, value: mask(entry.value) }));
+                for (const result of Object.values(stats.checks)) {
+                    result.failing = result.failing.map(mask);
+                }
+            }
+        }
+    }
+
+    // Display the checkpoint for a partial analysis, untruncated so it can be pasted back
+    displayCheckpoint() {
+        output.clear();
+        output.markdown('# ⏸️ Resume Checkpoint\n');
+        const analysis = this.schema.analysis;
+        output.markdown(`**${analysis.pendingTableIds.length}** tables still need a record scan and **${analysis.pendingRelationshipFieldIds.length}** relationships still need cardinality inference.`);
+        output.markdown('Copy the checkpoint below, run the script again and choose **⏯️ Resume from Checkpoint**.\n');
+        output.markdown('```');
+        output.text(this.createCheckpoint());
+        output.markdown('```');
+    }
+
+    // Analyze individual field
+    async analyzeField(field, table) {
+        if (!field || !field.id || !field.name || !field.type) {
+            throw new Error('Field missing required properties');
+        }
+        
+        const fieldInfo = {
+            id: field.id,
+            name: field.name,
+            type: field.type,
+            description: field.description || '',
+            category: this.getFieldCategory(field.type),
+            options: {}
+        };
+        
+        // Field types added to Airtable after this version are kept, but flagged
+        // Reported once per run by analyzeStructure()
+        fieldInfo.isSupportedType = fieldInfo.category !== 'UNKNOWN';
+
+        // Extract field-specific options
+        if (field.options) {
+            try {
+                fieldInfo.options = this.extractFieldOptions(field);
+            } catch (error) {
+                console.error(`Error extracting options for field ${field.name}:`, error);
+            }
+        }
+
+        // Check if field is computed
+        fieldInfo.isComputed = field.isComputed || false;
+        
+        // Sensitive fields have their sample and profile values masked
+        if (CONFIG.REDACT_VALUES && this.isSensitiveField(fieldInfo)) {
+            fieldInfo.isRedacted = true;
+            if (fieldInfo.options.choices && fieldInfo.category === 'USER') {
+                fieldInfo.options.choices = fieldInfo.options.choices.map(choice => ({
+                    id: choice.id,
+                    name: this.redactText(fieldInfo, choice.name || choice.email || choice.id),
+                    email: choice.email ? this.maskEmail(choice.email) : null
+                }));
+            }
+        }
+
+        // For relational fields, store additional info
+        if (field.type === 'multipleRecordLinks' && field.options) {
+            fieldInfo.linkedTableId = field.options.linkedTableId || null;
+            fieldInfo.inverseLinkFieldId = field.options.inverseLinkFieldId || null;
+            fieldInfo.prefersSingleRecordLink = field.options.prefersSingleRecordLink || false;
+        }
+
+        return fieldInfo;
+    }
+
+    // Extract field options based on type (keys the switch does not normalize are copied as-is)
+    extractFieldOptions(field) {
+        const options = {};
+        
+        if (!field.options) {
+            return options;
+        }
+        
+        try {
+            switch (field.type) {
+                case 'singleSelect':
+                case 'multipleSelects':
+                case 'externalSyncSource':
+                    if (field.options.choices) {
+                        options.choices = field.options.choices.map(choice => ({
+                            id: choice.id || 'unknown',
+                            name: choice.name || 'Unnamed',
+                            color: choice.color || 'default'
+                        }));
                     }
                     break;
                     
-                case 'rating':
+                case 'singleCollaborator':
+                case 'multipleCollaborators':
+                    if (field.options.choices) {
+                        options.choices = field.options.choices.map(choice => ({
+                            id: choice.id || 'unknown',
+                            name: choice.name || 'Unnamed',
+                            email: choice.email || null
+                        }));
+                    }
+                    break;
+                    
+                case 'number':
+                case 'percent':
+                case 'currency':
+                    if (field.options.precision !== undefined) {
+                        options.precision = field.options.precision;
+                    }
+                    if (field.type === 'currency' && field.options.symbol) {
+                        options.symbol = field.options.symbol;
+                    }
+                    break;
+                    
+                case 'duration':
+                    if (field.options.durationFormat) {
+                        options.durationFormat = field.options.durationFormat;
+                    }
+                    break;
+                    
+                case 'date':
+                case 'dateTime':
+                    if (field.options.dateFormat) {
+                        options.dateFormat = field.options.dateFormat;
+                    }
+                    if (field.type === 'dateTime') {
+                        if (field.options.timeFormat) {
+                            options.timeFormat = field.options.timeFormat;
+                        }
+                        if (field.options.timeZone) {
+                            options.timeZone = field.options.timeZone;
+                        }
+                    }
+                    break;
+                    
+                case 'checkbox':
+                    if (field.options.icon) {
+                        options.icon = field.options.icon;
+                    }
+                    if (field.options.color) {
+                        options.color = field.options.color;
+                    }
+                    break;
+                    
+                case 'rating':
                     if (field.options.icon) {
                         options.icon = field.options.icon;
                     }
@@ -271,12 +1630,16 @@ class AirtableSchemaAnalyzer {
                     break;
                     
                 case 'lookup':
+                case 'multipleLookupValues':
                     if (field.options.recordLinkFieldId) {
                         options.recordLinkFieldId = field.options.recordLinkFieldId;
                     }
                     if (field.options.fieldIdInLinkedTable) {
                         options.fieldIdInLinkedTable = field.options.fieldIdInLinkedTable;
                     }
+                    if (field.options.isValid !== undefined) {
+                        options.isValid = field.options.isValid;
+                    }
                     break;
                     
                 case 'rollup':
@@ -289,507 +1652,3993 @@ class AirtableSchemaAnalyzer {
                     if (field.options.referencedFieldIds) {
                         options.referencedFieldIds = field.options.referencedFieldIds;
                     }
+                    if (field.options.isValid !== undefined) {
+                        options.isValid = field.options.isValid;
+                    }
                     break;
                     
                 case 'count':
                     if (field.options.recordLinkFieldId) {
                         options.recordLinkFieldId = field.options.recordLinkFieldId;
                     }
+                    if (field.options.isValid !== undefined) {
+                        options.isValid = field.options.isValid;
+                    }
                     break;
                     
                 case 'formula':
+                case 'aiText':
+                    if (field.options.isValid !== undefined) {
+                        options.isValid = field.options.isValid;
+                    }
+                    if (field.options.referencedFieldIds) {
+                        options.referencedFieldIds = field.options.referencedFieldIds;
+                    }
+                    if (field.type === 'aiText' && field.options.prompt) {
+                        // Prompt parts are plain strings or { field: { fieldId } } references
+                        options.prompt = field.options.prompt.map(part =>
+                            typeof part === 'string' ? part : { fieldId: part.field ? part.field.fieldId : null });
+                    }
+                    break;
+                    
+                case 'createdTime':
+                    break;
+                    
+                case 'lastModifiedTime':
+                case 'lastModifiedBy':
+                    // referencedFieldIds are the watched fields ([] when every field is watched)
+                    if (field.options.referencedFieldIds) {
+                        options.referencedFieldIds = field.options.referencedFieldIds;
+                    }
                     if (field.options.isValid !== undefined) {
                         options.isValid = field.options.isValid;
                     }
                     break;
+                    
+                case 'button':
+                    if (field.options.label) {
+                        options.label = field.options.label;
+                    }
+                    break;
+            }
+            
+            // Formula, rollup, lookup and time fields describe the type of value they produce
+            if (field.options.result && field.options.result.type) {
+                options.result = {
+                    type: field.options.result.type,
+                    options: this.extractFieldOptions({
+                        name: field.name,
+                        type: field.options.result.type,
+                        options: field.options.result.options
+                    })
+                };
+            }
+            
+            // Preserve option keys this version does not know about
+            for (const [key, value] of Object.entries(field.options)) {
+                if (options[key] === undefined && value !== undefined && typeof value !== 'function') {
+                    options[key] = this.cloneOptionValue(value);
+                }
+            }
+        } catch (error) {
+            console.error(`Error processing options for field ${field.name}:`, error);
+        }
+        
+        return options;
+    }
+
+    // Copy an option value into plain JSON so it survives export
+    cloneOptionValue(value) {
+        try {
+            return JSON.parse(JSON.stringify(value));
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    // Profile the values of a field: fill rate, distinct values, ranges and top values
+    profileField(field, fieldInfo, records) {
+        const numericTypes = ['number', 'percent', 'currency', 'rating', 'duration', 'autoNumber', 'count'];
+        const dateTypes = ['date', 'dateTime', 'createdTime', 'lastModifiedTime'];
+        const resultType = fieldInfo.options && fieldInfo.options.result && fieldInfo.options.result.type;
+        const isNumeric = numericTypes.includes(fieldInfo.type) || numericTypes.includes(resultType);
+        const isDate = dateTypes.includes(fieldInfo.type) || dateTypes.includes(resultType);
+        const isText = fieldInfo.category === 'TEXT';
+        
+        const profile = {
+            totalRecords: records.length,
+            filled: 0,
+            empty: 0,
+            fillRate: 0,
+            distinctCount: 0,
+            topValues: []
+        };
+        
+        const valueCounts = new Map();
+        let min = null;
+        let max = null;
+        let totalLength = 0;
+        
+        for (const record of records) {
+            const value = record.getCellValue(field);
+            if (this.isEmptyCellValue(value)) {
+                profile.empty++;
+                continue;
+            }
+            profile.filled++;
+            
+            for (const item of this.getCellValueItems(value)) {
+                valueCounts.set(item, (valueCounts.get(item) || 0) + 1);
+            }
+            
+            if (isNumeric && typeof value === 'number') {
+                min = min === null ? value : Math.min(min, value);
+                max = max === null ? value : Math.max(max, value);
+            } else if (isDate && typeof value === 'string') {
+                min = min === null || value < min ? value : min;
+                max = max === null || value > max ? value : max;
+            }
+            
+            if (isText) {
+                totalLength += String(value).length;
+            }
+        }
+        
+        profile.fillRate = records.length > 0 ? Math.round((profile.filled / records.length) * 1000) / 10 : 0;
+        profile.distinctCount = valueCounts.size;
+        
+        if (min !== null) {
+            profile.min = min;
+            profile.max = max;
+        }
+        if (isText && profile.filled > 0) {
+            profile.averageLength = Math.round((totalLength / profile.filled) * 10) / 10;
+        }
+        
+        const redactingField = this.getRedactingField(fieldInfo);
+        profile.topValues = [...valueCounts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, CONFIG.PROFILE_TOP_VALUES)
+            .map(([value, count]) => ({ value: redactingField ? this.redactText(redactingField, value) : value, count }));
+        
+        return profile;
+    }
+
+    // Check whether a cell value counts as empty
+    isEmptyCellValue(value) {
+        return value === null || value === undefined || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    // Flatten a cell value into display strings (one per item for multi-value cells)
+    getCellValueItems(value) {
+        const items = Array.isArray(value) ? value : [value];
+        return items
+            .filter(item => item !== null && item !== undefined)
+            .map(item => {
+                if (typeof item !== 'object') return String(item);
+                return String(item.name || item.filename || item.email || item.text || item.label || item.value || item.id || JSON.stringify(item));
+            });
+    }
+
+    // Analyze view
+    analyzeView(view) {
+        if (!view || !view.id || !view.name) {
+            throw new Error('View missing required properties');
+        }
+        
+        return {
+            id: view.id,
+            name: view.name,
+            type: view.type || 'Unknown'
+        };
+    }
+
+    // Get field category ('UNKNOWN' for field types this version does not know about)
+    getFieldCategory(fieldType) {
+        for (const [category, types] of Object.entries(FIELD_TYPE_CATEGORIES)) {
+            if (types.includes(fieldType)) {
+                return category;
+            }
+        }
+        return 'UNKNOWN';
+    }
+
+    // Analyze relationships between tables, pairing each link field with its inverse
+    async analyzeRelationships() {
+        output.markdown('\n## 🔗 Analyzing Relationships...');
+        
+        const pairedFieldIds = new Set();
+        
+        for (const table of this.schema.tables) {
+            for (const field of table.fields) {
+                if (field.type !== 'multipleRecordLinks' || !field.linkedTableId || pairedFieldIds.has(field.id)) {
+                    continue;
+                }
+                
+                const linkedTable = this.schema.tables.find(t => t.id === field.linkedTableId);
+                if (!linkedTable) {
+                    // The target is either outside the analysis scope or no longer accessible
+                    const target = base.getTableIfExists(field.linkedTableId);
+                    this.schema.externalLinks.push({
+                        tableName: table.name,
+                        tableId: table.id,
+                        fieldName: field.name,
+                        fieldId: field.id,
+                        linkedTableId: field.linkedTableId,
+                        linkedTableName: target ? target.name : null,
+                        reason: target ? 'outOfScope' : 'missing'
+                    });
+                    continue;
+                }
+                
+                const inverseField = field.inverseLinkFieldId
+                    ? linkedTable.fields.find(f => f.id === field.inverseLinkFieldId) || null
+                    : null;
+                pairedFieldIds.add(field.id);
+                if (inverseField) {
+                    pairedFieldIds.add(inverseField.id);
+                }
+                
+                // "fromMany": a "to" record can link to many "from" records; "toMany" the reverse
+                const fromMany = inverseField ? !inverseField.prefersSingleRecordLink : true;
+                const toMany = !field.prefersSingleRecordLink;
+                
+                this.schema.relationships.push({
+                    fromTable: table.name,
+                    fromTableId: table.id,
+                    fromField: field.name,
+                    fromFieldId: field.id,
+                    toTable: linkedTable.name,
+                    toTableId: linkedTable.id,
+                    toField: inverseField ? inverseField.name : null,
+                    toFieldId: inverseField ? inverseField.id : null,
+                    type: 'linkedRecord',
+                    prefersSingleLink: field.prefersSingleRecordLink || false,
+                    inversePrefersSingleLink: inverseField ? inverseField.prefersSingleRecordLink || false : null,
+                    cardinality: this.formatCardinality(fromMany, toMany),
+                    inferredCardinality: null,
+                    isSelfReference: table.id === linkedTable.id,
+                    // Self-links never get an inverse field in Airtable, so they are not one-way links
+                    isOneWay: !inverseField && table.id !== linkedTable.id
+                });
+            }
+        }
+        
+        if (CONFIG.INFER_CARDINALITY) {
+            const restored = this.checkpoint ? this.checkpoint.inferredCardinality : {};
+            const pending = [];
+            for (const relationship of this.schema.relationships) {
+                if (restored[relationship.fromFieldId]) {
+                    relationship.inferredCardinality = restored[relationship.fromFieldId];
+                } else {
+                    pending.push(relationship);
+                }
+            }
+            
+            const phaseStartedAt = Date.now();
+            for (let start = 0; start < pending.length; start += CONFIG.SCAN_BATCH_SIZE) {
+                if (this.isOverTimeBudget()) {
+                    for (const relationship of pending.slice(start)) {
+                        this.schema.analysis.pendingRelationshipFieldIds.push(relationship.fromFieldId);
+                    }
+                    break;
+                }
+                
+                const batch = pending.slice(start, start + CONFIG.SCAN_BATCH_SIZE);
+                await Promise.all(batch.map(async (relationship) => {
+                    try {
+                        relationship.inferredCardinality = await this.inferCardinality(relationship);
+                    } catch (error) {
+                        console.error(`Could not infer cardinality for ${relationship.fromTable}.${relationship.fromField}:`, error);
+                    }
+                }));
+                this.reportProgress('Cardinality', Math.min(start + batch.length, pending.length), pending.length, phaseStartedAt);
+            }
+        }
+        
+        output.markdown(`Found **${this.schema.relationships.length}** relationships`);
+        if (this.schema.externalLinks.length > 0) {
+            output.markdown(`⚠️ **${this.schema.externalLinks.length}** link fields point to tables outside the analysis scope`);
+        }
+    }
+
+    // Format a cardinality as 1:1, 1:N, N:1 or N:M
+    formatCardinality(fromMany, toMany) {
+        if (fromMany && toMany) return 'N:M';
+        return `${fromMany ? 'N' : '1'}:${toMany ? 'N' : '1'}`;
+    }
+
+    // Infer the actual cardinality of a relationship from its link values (null when no record has a link)
+    async inferCardinality(relationship) {
+        const table = base.getTable(relationship.fromTableId);
+        const query = await table.selectRecordsAsync({ fields: [relationship.fromFieldId] });
+        
+        // The maxima are tracked in the loop: spreading one argument per linked record overflows the stack on large tables
+        let maxOutgoing = 0;
+        let maxIncoming = 0;
+        const incoming = new Map();
+        for (const record of query.records) {
+            const links = record.getCellValue(relationship.fromFieldId) || [];
+            maxOutgoing = Math.max(maxOutgoing, links.length);
+            for (const link of links) {
+                const count = (incoming.get(link.id) || 0) + 1;
+                incoming.set(link.id, count);
+                maxIncoming = Math.max(maxIncoming, count);
+            }
+        }
+        
+        if (incoming.size === 0) {
+            return null;
+        }
+        return {
+            cardinality: this.formatCardinality(maxIncoming > 1, maxOutgoing > 1),
+            maxLinksPerFromRecord: maxOutgoing,
+            maxLinksPerToRecord: maxIncoming,
+            linkedRecordCount: incoming.size
+        };
+    }
+
+    // Build the field dependency graph from lookup, rollup, count and formula references
+    analyzeDependencies() {
+        output.markdown('\n## 🧩 Analyzing Field Dependencies...');
+        
+        const dependencies = { edges: [], deepLookupChains: [], cycles: [] };
+        const fieldIndex = this.getFieldIndex();
+        
+        const addEdge = (fromEntry, toFieldId, via) => {
+            const toEntry = fieldIndex.get(toFieldId);
+            if (!toEntry) return;
+            dependencies.edges.push({
+                fromTableId: fromEntry.table.id,
+                fromTable: fromEntry.table.name,
+                fromFieldId: fromEntry.field.id,
+                fromField: fromEntry.field.name,
+                toTableId: toEntry.table.id,
+                toTable: toEntry.table.name,
+                toFieldId: toEntry.field.id,
+                toField: toEntry.field.name,
+                via: via
+            });
+        };
+        
+        for (const entry of fieldIndex.values()) {
+            const options = entry.field.options || {};
+            if (options.recordLinkFieldId) {
+                addEdge(entry, options.recordLinkFieldId, 'recordLink');
+            }
+            if (options.fieldIdInLinkedTable) {
+                addEdge(entry, options.fieldIdInLinkedTable, 'linkedField');
+            }
+            if (Array.isArray(options.referencedFieldIds)) {
+                for (const referencedFieldId of options.referencedFieldIds) {
+                    addEdge(entry, referencedFieldId, 'referencedField');
+                }
+            }
+        }
+        
+        this.schema.dependencies = dependencies;
+        dependencies.deepLookupChains = this.findDeepLookupChains(fieldIndex);
+        dependencies.cycles = this.findDependencyCycles();
+        
+        output.markdown(`Found **${dependencies.edges.length}** field dependencies`);
+        if (dependencies.deepLookupChains.length > 0) {
+            output.markdown(`⚠️ **${dependencies.deepLookupChains.length}** lookup chains deeper than ${CONFIG.MAX_LOOKUP_DEPTH}`);
+        }
+        if (dependencies.cycles.length > 0) {
+            output.markdown(`⚠️ **${dependencies.cycles.length}** dependency cycles`);
+        }
+    }
+
+    // Map every field ID to its analyzed field and table
+    getFieldIndex() {
+        const fieldIndex = new Map();
+        for (const table of this.schema.tables) {
+            for (const field of table.fields) {
+                fieldIndex.set(field.id, { table, field });
+            }
+        }
+        return fieldIndex;
+    }
+
+    // Find lookup/rollup fields whose lookup-of-lookup chain exceeds MAX_LOOKUP_DEPTH
+    findDeepLookupChains(fieldIndex) {
+        const chainCache = new Map();
+        const isLookupLike = (field) => ['lookup', 'multipleLookupValues', 'rollup'].includes(field.type);
+        
+        // Returns the chain of lookup-like field IDs starting at fieldId
+        const getChain = (fieldId, visiting) => {
+            if (chainCache.has(fieldId)) return chainCache.get(fieldId);
+            const entry = fieldIndex.get(fieldId);
+            if (!entry || !isLookupLike(entry.field) || visiting.has(fieldId)) return [];
+            
+            visiting.add(fieldId);
+            const sourceFieldId = entry.field.options && entry.field.options.fieldIdInLinkedTable;
+            const chain = [fieldId, ...(sourceFieldId ? getChain(sourceFieldId, visiting) : [])];
+            visiting.delete(fieldId);
+            
+            chainCache.set(fieldId, chain);
+            return chain;
+        };
+        
+        const deepChains = [];
+        for (const [fieldId, entry] of fieldIndex) {
+            const chain = getChain(fieldId, new Set());
+            if (chain.length > CONFIG.MAX_LOOKUP_DEPTH) {
+                const lastEntry = fieldIndex.get(chain[chain.length - 1]);
+                const sourceEntry = fieldIndex.get(lastEntry.field.options.fieldIdInLinkedTable);
+                const path = chain.map(id => this.formatFieldPath(fieldIndex.get(id)));
+                if (sourceEntry) {
+                    path.push(this.formatFieldPath(sourceEntry));
+                }
+                deepChains.push({
+                    tableId: entry.table.id,
+                    tableName: entry.table.name,
+                    fieldId: fieldId,
+                    fieldName: entry.field.name,
+                    depth: chain.length,
+                    chain: path
+                });
+            }
+        }
+        
+        return deepChains.sort((a, b) => b.depth - a.depth);
+    }
+
+    // Find cycles in the dependency graph
+    findDependencyCycles() {
+        const adjacency = this.getDependencyAdjacency('fromFieldId', 'toFieldId');
+        const fieldIndex = this.getFieldIndex();
+        const state = new Map(); // undefined = unvisited, 1 = in progress, 2 = done
+        const stack = [];
+        const seen = new Set();
+        const cycles = [];
+        
+        const visit = (fieldId) => {
+            state.set(fieldId, 1);
+            stack.push(fieldId);
+            
+            for (const nextId of adjacency.get(fieldId) || []) {
+                if (state.get(nextId) === 1) {
+                    const cycle = stack.slice(stack.indexOf(nextId));
+                    const key = [...cycle].sort().join(',');
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        cycles.push([...cycle, nextId].map(id => this.formatFieldPath(fieldIndex.get(id))));
+                    }
+                } else if (!state.has(nextId)) {
+                    visit(nextId);
+                }
+            }
+            
+            stack.pop();
+            state.set(fieldId, 2);
+        };
+        
+        for (const fieldId of adjacency.keys()) {
+            if (!state.has(fieldId)) {
+                visit(fieldId);
+            }
+        }
+        
+        return cycles;
+    }
+
+    // Build an adjacency map (field ID -> Set of field IDs) from dependency edges
+    getDependencyAdjacency(fromKey, toKey) {
+        const adjacency = new Map();
+        for (const edge of this.schema.dependencies.edges) {
+            if (!adjacency.has(edge[fromKey])) {
+                adjacency.set(edge[fromKey], new Set());
+            }
+            adjacency.get(edge[fromKey]).add(edge[toKey]);
+        }
+        return adjacency;
+    }
+
+    // Get direct and transitive dependents of a field, with their distance (pass the lookups when calling per field)
+    getFieldDependents(fieldId, lookups = {}) {
+        const reverse = lookups.reverse || this.getDependencyAdjacency('toFieldId', 'fromFieldId');
+        const fieldIndex = lookups.fieldIndex || this.getFieldIndex();
+        const dependents = [];
+        const visited = new Set([fieldId]);
+        let frontier = [fieldId];
+        let depth = 0;
+        
+        while (frontier.length > 0) {
+            depth++;
+            const next = [];
+            for (const currentId of frontier) {
+                for (const dependentId of reverse.get(currentId) || []) {
+                    if (visited.has(dependentId)) continue;
+                    visited.add(dependentId);
+                    next.push(dependentId);
+                    
+                    const entry = fieldIndex.get(dependentId);
+                    dependents.push({
+                        tableId: entry.table.id,
+                        tableName: entry.table.name,
+                        fieldId: dependentId,
+                        fieldName: entry.field.name,
+                        type: entry.field.type,
+                        depth: depth,
+                        via: this.formatFieldPath(fieldIndex.get(currentId))
+                    });
+                }
+            }
+            frontier = next;
+        }
+        
+        return dependents;
+    }
+
+    // Format a field index entry as "Table.Field"
+    formatFieldPath(entry) {
+        return entry ? `${entry.table.name}.${entry.field.name}` : 'Unknown';
+    }
+
+    // Calculate statistics
+    calculateStatistics() {
+        try {
+            const stats = this.schema.statistics;
+            
+            // Basic counts
+            stats.totalFields = this.schema.tables.reduce((sum, table) => sum + (table.fields ? table.fields.length : 0), 0);
+            stats.totalViews = this.schema.tables.reduce((sum, table) => sum + (table.views ? table.views.length : 0), 0);
+            stats.totalRecords = this.schema.tables.reduce((sum, table) => sum + (table.recordCount || 0), 0);
+            
+            // Field type distribution
+            stats.fieldTypeDistribution = {};
+            for (const table of this.schema.tables) {
+                if (table.fields) {
+                    for (const field of table.fields) {
+                        stats.fieldTypeDistribution[field.type] = (stats.fieldTypeDistribution[field.type] || 0) + 1;
+                    }
+                }
+            }
+            
+            // Field category distribution
+            stats.fieldCategoryDistribution = {};
+            for (const table of this.schema.tables) {
+                if (table.fields) {
+                    for (const field of table.fields) {
+                        stats.fieldCategoryDistribution[field.category] = 
+                            (stats.fieldCategoryDistribution[field.category] || 0) + 1;
+                    }
+                }
+            }
+            
+            // Link fields that leave the analysis scope, per target table
+            stats.outOfScopeLinks = {};
+            for (const link of this.schema.externalLinks) {
+                const target = link.reason === 'outOfScope' ? link.linkedTableName : link.linkedTableId;
+                stats.outOfScopeLinks[target] = (stats.outOfScopeLinks[target] || 0) + 1;
+            }
+            
+            // Fields whose type this version does not fully support
+            stats.unsupportedFields = [];
+            for (const table of this.schema.tables) {
+                for (const field of table.fields) {
+                    if (field.isSupportedType === false) {
+                        stats.unsupportedFields.push({ table: table.name, field: field.name, type: field.type });
+                    }
+                }
+            }
+            
+            // Fields with no data (only known when profiling)
+            if (CONFIG.PROFILE_DATA) {
+                stats.emptyFields = [];
+                for (const table of this.schema.tables) {
+                    for (const field of table.fields) {
+                        if (field.profile && field.profile.totalRecords > 0 && field.profile.filled === 0) {
+                            stats.emptyFields.push({ table: table.name, field: field.name, type: field.type });
+                        }
+                    }
+                }
+            }
+            
+            // Graph metrics from the link fields (unknown when link fields are outside the scope)
+            stats.structure = this.isFieldCategoryInScope('RELATIONAL') ? this.calculateStructureMetrics() : null;
+            
+            // Table size distribution
+            stats.tableSizes = this.schema.tables.map(t => ({
+                name: t.name,
+                recordCount: t.recordCount || 0,
+                fieldCount: t.fields ? t.fields.length : 0
+            })).sort((a, b) => b.recordCount - a.recordCount);
+        } catch (error) {
+            console.error('Error calculating statistics:', error);
+            this.schema.statistics.error = 'Could not calculate all statistics';
+        }
+    }
+
+    // Coupling between tables: fan-in/out, hubs, isolated tables, connected components, longest link path and complexity
+    calculateStructureMetrics() {
+        const tables = this.schema.tables;
+        const tableIds = new Set(tables.map(t => t.id));
+        const outgoing = new Map(tables.map(t => [t.id, new Set()]));
+        const incoming = new Map(tables.map(t => [t.id, new Set()]));
+        
+        for (const table of tables) {
+            for (const field of table.fields) {
+                if (field.type === 'multipleRecordLinks' && tableIds.has(field.linkedTableId) && field.linkedTableId !== table.id) {
+                    outgoing.get(table.id).add(field.linkedTableId);
+                    incoming.get(field.linkedTableId).add(table.id);
+                }
+            }
+        }
+        
+        // Undirected neighbours: a link in either direction couples two tables
+        const neighbours = new Map(tables.map(t => [t.id, new Set([...outgoing.get(t.id), ...incoming.get(t.id)])]));
+        const linkedTablePairs = [...neighbours.values()].reduce((sum, set) => sum + set.size, 0) / 2;
+        const averageDegree = tables.length > 0 ? (linkedTablePairs * 2) / tables.length : 0;
+        const hubThreshold = Math.max(HUB_MIN_LINKED_TABLES, Math.ceil(averageDegree * 2));
+        
+        const tableMetrics = tables.map(table => {
+            const computedFields = table.fields.filter(f => f.isComputed).length;
+            const rawFields = table.fields.length - computedFields;
+            const degree = neighbours.get(table.id).size;
+            return {
+                id: table.id,
+                name: table.name,
+                fanIn: incoming.get(table.id).size,
+                fanOut: outgoing.get(table.id).size,
+                linkedTables: degree,
+                externalLinks: this.schema.externalLinks.filter(link => link.tableId === table.id).length,
+                computedFields,
+                rawFields,
+                computedToRawRatio: rawFields > 0 ? Math.round((computedFields / rawFields) * 100) / 100 : null,
+                isHub: degree >= hubThreshold,
+                isIsolated: degree === 0 && !this.schema.externalLinks.some(link => link.tableId === table.id)
+            };
+        });
+        
+        // Breadth-first search gives both the components and the distances for the longest path
+        const nameOf = (id) => tables.find(t => t.id === id).name;
+        const bfs = (startId) => {
+            const previous = new Map([[startId, null]]);
+            const queue = [startId];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                for (const next of neighbours.get(id)) {
+                    if (!previous.has(next)) {
+                        previous.set(next, id);
+                        queue.push(next);
+                    }
+                }
+            }
+            return previous;
+        };
+        
+        const components = [];
+        const seen = new Set();
+        for (const table of tables) {
+            if (seen.has(table.id)) continue;
+            const reached = [...bfs(table.id).keys()];
+            reached.forEach(id => seen.add(id));
+            components.push(reached.map(nameOf).sort((a, b) => a.localeCompare(b)));
+        }
+        components.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+        
+        // Longest shortest path between two tables (the diameter of the link graph)
+        let longestPath = [];
+        for (const table of tables) {
+            const previous = bfs(table.id);
+            for (const targetId of previous.keys()) {
+                const path = [];
+                for (let id = targetId; id !== null; id = previous.get(id)) {
+                    path.unshift(id);
+                }
+                if (path.length > longestPath.length) {
+                    longestPath = path;
+                }
+            }
+        }
+        
+        const counts = {
+            tables: tables.length,
+            fields: tableMetrics.reduce((sum, t) => sum + t.computedFields + t.rawFields, 0),
+            computedFields: tableMetrics.reduce((sum, t) => sum + t.computedFields, 0),
+            linkedTablePairs,
+            longestPathLength: Math.max(longestPath.length - 1, 0),
+            hubTables: tableMetrics.filter(t => t.isHub).length,
+            dependencyCycles: this.schema.dependencies.cycles.length
+        };
+        const score = Math.round(Object.entries(COMPLEXITY_WEIGHTS).reduce((sum, [key, weight]) => sum + counts[key] * weight, 0) * 10) / 10;
+        
+        return {
+            tables: tableMetrics,
+            hubTables: tableMetrics.filter(t => t.isHub).map(t => t.name),
+            isolatedTables: tableMetrics.filter(t => t.isIsolated).map(t => t.name),
+            components,
+            longestPath: { length: counts.longestPathLength, tables: longestPath.map(nameOf) },
+            averageLinkedTables: Math.round(averageDegree * 100) / 100,
+            complexity: {
+                score,
+                rating: COMPLEXITY_RATINGS.find(([limit]) => score < limit)[1],
+                counts
+            }
+        };
+    }
+
+    // Run every enabled audit rule over the schema
+    runAudit() {
+        const findings = [];
+        const report = (ruleId, message, location) => {
+            const severity = CONFIG.LINT_RULES[ruleId];
+            if (!LINT_SEVERITIES.includes(severity)) return;
+            findings.push({ ruleId, severity, message, location });
+        };
+        
+        // Tables that link to or are linked from another table
+        const linkedTableIds = new Set();
+        for (const table of this.schema.tables) {
+            for (const field of table.fields) {
+                if (field.type === 'multipleRecordLinks' && field.linkedTableId && field.linkedTableId !== table.id) {
+                    linkedTableIds.add(table.id);
+                    linkedTableIds.add(field.linkedTableId);
+                }
+            }
+        }
+        
+        let namePattern = null;
+        if (CONFIG.FIELD_NAME_PATTERN) {
+            try {
+                namePattern = new RegExp(CONFIG.FIELD_NAME_PATTERN);
+            } catch (error) {
+                console.error(`Invalid FIELD_NAME_PATTERN: ${CONFIG.FIELD_NAME_PATTERN}`, error);
+            }
+        }
+        
+        for (const table of this.schema.tables) {
+            const tableLocation = { tableId: table.id, tableName: table.name };
+            
+            if (!table.description || table.description === 'No description') {
+                report('missing-table-description', 'Table has no description', tableLocation);
+            }
+            if (table.views.length <= 1) {
+                report('default-view-only', 'Table has no views beyond the default view', tableLocation);
+            }
+            if (!linkedTableIds.has(table.id) && this.isFieldCategoryInScope('RELATIONAL')) {
+                report('isolated-table', 'Table has no links to or from other tables', tableLocation);
+            }
+            
+            for (const field of table.fields) {
+                const fieldLocation = { ...tableLocation, fieldId: field.id, fieldName: field.name };
+                
+                if (!field.description) {
+                    report('missing-field-description', 'Field has no description', fieldLocation);
+                }
+                if (field.type === 'formula' && field.options && field.options.isValid === false) {
+                    report('invalid-formula', 'Formula is invalid', fieldLocation);
+                }
+                if (namePattern && !namePattern.test(field.name)) {
+                    report('field-naming', `Field name does not match ${CONFIG.FIELD_NAME_PATTERN}`, fieldLocation);
+                }
+                if (field.type === 'singleSelect' && field.options && field.options.choices && field.options.choices.length === 1) {
+                    report('single-choice-select', `Single select has only one choice ("${field.options.choices[0].name}")`, fieldLocation);
+                }
+            }
+            
+            for (const [first, second] of this.findNearDuplicateNames(table.fields)) {
+                report('near-duplicate-field-names', `Field names "${first.name}" and "${second.name}" are nearly identical`, {
+                    ...tableLocation,
+                    fieldId: second.id,
+                    fieldName: second.name
+                });
+            }
+        }
+        
+        const counts = {};
+        for (const severity of LINT_SEVERITIES) {
+            counts[severity] = findings.filter(f => f.severity === severity).length;
+        }
+        
+        this.schema.audit = { findings, counts };
+    }
+
+    // Find pairs of fields whose names are equal after normalization or one edit apart
+    findNearDuplicateNames(fields) {
+        // Keep letters and digits of any script, so names like "名前" and "住所" stay distinct
+        const normalize = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        const pairs = [];
+        
+        for (let i = 0; i < fields.length; i++) {
+            for (let j = i + 1; j < fields.length; j++) {
+                const a = normalize(fields[i].name);
+                const b = normalize(fields[j].name);
+                if (!a || !b) continue;
+                const isNearDuplicate = a === b ||
+                    (Math.min(a.length, b.length) >= 5 && this.getEditDistance(a, b, 1) <= 1);
+                if (isNearDuplicate) {
+                    pairs.push([fields[i], fields[j]]);
+                }
+            }
+        }
+        
+        return pairs;
+    }
+
+    // Levenshtein distance, stopping early once it exceeds maxDistance
+    getEditDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+        
+        let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + cost);
+                rowMin = Math.min(rowMin, currentRow[j]);
+            }
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+            previousRow = currentRow;
+        }
+        
+        return previousRow[b.length];
+    }
+
+    // Display results
+    async displayResults() {
+        output.clear();
+        
+        // Header
+        output.markdown(`# 📋 Airtable Schema Analysis Report`);
+        output.markdown(`**Base:** ${this.schema.baseName}`);
+        output.markdown(`**Generated:** ${new Date(this.schema.generatedAt).toLocaleString()}\n`);
+        
+        const analysis = this.schema.analysis;
+        if (!analysis.complete) {
+            output.markdown(`⏸️ **Partial analysis:** the ${CONFIG.TIME_BUDGET_SECONDS}s time budget ran out with ${analysis.pendingTableIds.length} tables and ${analysis.pendingRelationshipFieldIds.length} relationships left to scan. Open **Resume Checkpoint** to continue later.\n`);
+        }
+        
+        // Summary statistics
+        if (CONFIG.SHOW_STATISTICS) {
+            this.displayStatistics();
+        }
+        
+        // Interactive menu
+        const menuOptions = [
+            { label: '📊 Tables Overview', value: 'tables' },
+            { label: '🔎 Search', value: 'search' },
+            { label: '🔗 Relationships', value: 'relationships' },
+            { label: '📈 Detailed Statistics', value: 'stats' },
+            { label: '🩺 Audit', value: 'audit' },
+            { label: '🧭 Type Advisor', value: 'advisor' },
+            { label: '🧩 Normalization', value: 'normalization' },
+            { label: '📝 Full Schema', value: 'full' },
+            { label: '💾 Export Data', value: 'export' },
+            { label: '🔀 Compare with Snapshot', value: 'compare' }
+        ];
+        if (!analysis.complete) {
+            menuOptions.push({ label: '⏸️ Resume Checkpoint', value: 'checkpoint' });
+        }
+        const choice = await input.buttonsAsync('What would you like to view?', menuOptions);
+        
+        switch (choice) {
+            case 'tables':
+                await this.displayTablesOverview();
+                break;
+            case 'search':
+                await this.searchSchema();
+                break;
+            case 'relationships':
+                this.displayRelationships();
+                break;
+            case 'stats':
+                this.displayDetailedStatistics();
+                break;
+            case 'audit':
+                await this.displayAudit();
+                break;
+            case 'advisor':
+                await this.displayTypeAdvice();
+                break;
+            case 'normalization':
+                await this.displayNormalization();
+                break;
+            case 'full':
+                await this.displayFullSchema();
+                break;
+            case 'export':
+                await this.exportSchema();
+                break;
+            case 'compare':
+                await this.compareWithSnapshot();
+                break;
+            case 'checkpoint':
+                this.displayCheckpoint();
+                break;
+        }
+        
+        // Offer to continue exploring
+        const continueChoice = await input.buttonsAsync(
+            '\nWould you like to explore more?',
+            [
+                { label: '🔄 Back to Menu', value: 'menu' },
+                { label: '✅ Done', value: 'done' }
+            ]
+        );
+        
+        if (continueChoice === 'menu') {
+            await this.displayResults();
+        }
+    }
+
+    // Display summary statistics
+    displayStatistics() {
+        const stats = this.schema.statistics;
+        
+        output.markdown('## 📊 Summary Statistics');
+        if (this.schema.scope && this.schema.scope.isLimited) {
+            output.markdown(`- **Scope:** ${this.describeScope()}`);
+        }
+        output.markdown(`- **Tables:** ${stats.totalTables || 0}`);
+        output.markdown(`- **Fields:** ${stats.totalFields || 0}`);
+        output.markdown(`- **Views:** ${stats.totalViews || 0}`);
+        output.markdown(`- **Records:** ${(stats.totalRecords || 0).toLocaleString()}`);
+        output.markdown(`- **Relationships:** ${this.schema.relationships.length}`);
+        if (this.schema.externalLinks.length > 0) {
+            output.markdown(`- **Links Outside the Scope:** ${this.schema.externalLinks.length}`);
+        }
+        if (stats.structure) {
+            output.markdown(`- **Complexity:** ${stats.structure.complexity.score} (${stats.structure.complexity.rating})`);
+        }
+        output.markdown('');
+    }
+
+    // Display tables overview
+    async displayTablesOverview() {
+        output.clear();
+        output.markdown('# 📊 Tables Overview\n');
+        
+        for (const table of this.schema.tables) {
+            output.markdown(`## ${table.name}`);
+            if (table.description && table.description !== 'No description') {
+                output.markdown(`*${table.description}*`);
+            }
+            
+            output.markdown(`- **Records:** ${table.recordsScanned ? table.recordCount.toLocaleString() : 'not scanned'}`);
+            output.markdown(`- **Fields:** ${table.fields.length}`);
+            output.markdown(`- **Views:** ${table.views.length}`);
+            output.markdown(`- **Primary Field:** ${table.primaryFieldName}`);
+            
+            // Field breakdown by category
+            const categoryCount = {};
+            for (const field of table.fields) {
+                categoryCount[field.category] = (categoryCount[field.category] || 0) + 1;
+            }
+            
+            output.markdown('\n**Field Categories:**');
+            for (const [category, count] of Object.entries(categoryCount)) {
+                output.markdown(`- ${category}: ${count}`);
+            }
+            
+            output.markdown('---\n');
+        }
+        
+        // Option to view detailed table info
+        const tableNames = this.schema.tables.map(t => ({
+            label: t.name,
+            value: t.id
+        }));
+        tableNames.push({ label: '← Back', value: 'back' });
+        
+        const selectedTable = await input.buttonsAsync(
+            'Select a table for detailed field information:',
+            tableNames
+        );
+        
+        if (selectedTable !== 'back') {
+            await this.displayTableDetails(selectedTable);
+        }
+    }
+
+    // Display detailed table information
+    async displayTableDetails(tableId) {
+        const table = this.schema.tables.find(t => t.id === tableId);
+        if (!table) return;
+        
+        output.clear();
+        output.markdown(`# Table: ${table.name}\n`);
+        
+        if (table.description && table.description !== 'No description') {
+            output.markdown(`*${table.description}*\n`);
+        }
+        
+        if (table.fields && table.fields.length > 0) {
+            output.markdown('## Fields\n');
+            
+            for (const field of table.fields) {
+                output.markdown(`### ${field.name}`);
+                if (CONFIG.SHOW_FIELD_IDS) {
+                    output.markdown(`*ID: ${field.id}*`);
+                }
+                
+                output.markdown(`- **Type:** ${field.type} (${field.category})`);
+                
+                if (field.isSupportedType === false) {
+                    output.markdown(`- ⚠️ **Not fully supported field type**`);
+                }
+                
+                if (field.description) {
+                    output.markdown(`- **Description:** ${field.description}`);
+                }
+                
+                if (field.isComputed) {
+                    output.markdown(`- **Computed Field**`);
+                }
+                
+                const sampleValues = this.getFieldSampleValues(table, field.id);
+                if (sampleValues.length > 0) {
+                    output.markdown(`- **Samples${field.isRedacted ? ' (redacted)' : ''}:** ${sampleValues.join(' · ')}`);
+                }
+                
+                if (field.profile) {
+                    output.markdown(`- **Data Profile:** ${this.formatProfileSummary(field.profile)}`);
+                    if (field.profile.topValues.length > 0) {
+                        output.markdown(`  - Top values: ${field.profile.topValues.map(v => `${v.value} (${v.count})`).join(', ')}`);
+                    }
+                }
+                
+                const directDependents = this.schema.dependencies.edges.filter(e => e.toFieldId === field.id);
+                if (directDependents.length > 0) {
+                    output.markdown(`- **Used By:** ${directDependents.map(e => `${e.fromTable}.${e.fromField}`).join(', ')}`);
+                }
+                
+                // Display field options
+                if (field.options && Object.keys(field.options).length > 0) {
+                    output.markdown('- **Options:**');
+                    
+                    // Special handling for select fields
+                    if (field.options.choices) {
+                        const usage = field.choiceUsage ? field.choiceUsage.counts : null;
+                        output.markdown(`  - Choices (${field.options.choices.length}):`);
+                        for (const choice of field.options.choices.slice(0, 10)) {
+                            const uses = usage ? ` · ${usage[choice.id] ? `${usage[choice.id]} record${usage[choice.id] === 1 ? '' : 's'}` : '⚠️ unused'}` : '';
+                            output.markdown(`    - ${choice.name} (${choice.color || choice.email || choice.id})${uses}`);
+                        }
+                        if (field.options.choices.length > 10) {
+                            output.markdown(`    - ... and ${field.options.choices.length - 10} more`);
+                        }
+                        
+                        const unused = this.getUnusedChoices(field);
+                        if (unused.length > 0) {
+                            output.markdown(`  - ⚠️ Unused choices (${unused.length}): ${unused.map(c => `"${c.name}"`).join(', ')}`);
+                        }
+                        if (field.choiceUsage && field.choiceUsage.orphanValues.length > 0) {
+                            output.markdown(`  - ⚠️ Values matching no choice: ${field.choiceUsage.orphanValues.map(v => `${v.name} (${v.count})`).join(', ')}`);
+                        }
+                        for (const group of this.findDuplicateChoices(field)) {
+                            output.markdown(`  - ⚠️ Likely duplicates: ${group.map(c => `"${c.name}"`).join(', ')}`);
+                        }
+                    } else {
+                        for (const [key, value] of Object.entries(field.options)) {
+                            output.markdown(`  - ${key}: ${JSON.stringify(value)}`);
+                        }
+                    }
+                }
+                
+                output.markdown('');
+            }
+        } else {
+            output.markdown('## Fields\n*No fields found in this table*\n');
+        }
+        
+        // Views
+        if (table.views && table.views.length > 0) {
+            output.markdown('## Views\n');
+            for (const view of table.views) {
+                output.markdown(`- **${view.name}** (${view.type})`);
+            }
+        } else {
+            output.markdown('## Views\n*No views found in this table*');
+        }
+        
+        // Field impact analysis
+        if (CONFIG.ANALYZE_DEPENDENCIES && table.fields && table.fields.length > 0) {
+            const action = await input.buttonsAsync(
+                'Check what depends on a field before deleting or retyping it?',
+                [
+                    { label: '🧩 Field Usage', value: 'impact' },
+                    { label: '← Back', value: 'back' }
+                ]
+            );
+            
+            if (action === 'impact') {
+                const fieldOptions = table.fields.map(f => ({ label: f.name, value: f.id }));
+                fieldOptions.push({ label: '← Back', value: 'back' });
+                
+                const selectedField = await input.buttonsAsync('Select a field:', fieldOptions);
+                if (selectedField !== 'back') {
+                    this.displayFieldImpact(table.id, selectedField);
+                }
+            }
+        }
+    }
+
+    // Display the "used by" page for a single field
+    displayFieldImpact(tableId, fieldId) {
+        const table = this.schema.tables.find(t => t.id === tableId);
+        const field = table && table.fields.find(f => f.id === fieldId);
+        if (!field) return;
+        
+        output.clear();
+        output.markdown(`# 🧩 Field Usage: ${table.name}.${field.name}\n`);
+        output.markdown(`- **Type:** ${field.type} (${field.category})`);
+        
+        const dependsOn = this.schema.dependencies.edges.filter(e => e.fromFieldId === field.id);
+        if (dependsOn.length > 0) {
+            output.markdown('\n## Depends On');
+            for (const edge of dependsOn) {
+                output.markdown(`- **${edge.toTable}.${edge.toField}** (${edge.via})`);
+            }
+        }
+        
+        const dependents = this.getFieldDependents(field.id);
+        if (dependents.length === 0) {
+            output.markdown('\n✅ *No other fields depend on this field.*');
+            return;
+        }
+        
+        const direct = dependents.filter(d => d.depth === 1);
+        const transitive = dependents.filter(d => d.depth > 1);
+        
+        output.markdown(`\n⚠️ Deleting or retyping this field affects **${dependents.length}** field(s) in **${new Set(dependents.map(d => d.tableId)).size}** table(s).`);
+        
+        output.markdown('\n## Direct Dependents');
+        for (const dependent of direct) {
+            output.markdown(`- **${dependent.tableName}.${dependent.fieldName}** (${dependent.type})`);
+        }
+        
+        if (transitive.length > 0) {
+            output.markdown('\n## Transitive Dependents');
+            for (const dependent of transitive) {
+                output.markdown(`- **${dependent.tableName}.${dependent.fieldName}** (${dependent.type}) — depth ${dependent.depth}, via ${dependent.via}`);
+            }
+        }
+    }
+
+    // Display relationships
+    displayRelationships() {
+        output.clear();
+        output.markdown('# 🔗 Table Relationships\n');
+        
+        if (this.schema.relationships.length === 0 && this.schema.externalLinks.length === 0) {
+            output.markdown('*No linked record relationships found*');
+            return;
+        }
+        
+        // Group relationships by table
+        const relationshipsByTable = {};
+        for (const rel of this.schema.relationships) {
+            if (!relationshipsByTable[rel.fromTable]) {
+                relationshipsByTable[rel.fromTable] = [];
+            }
+            relationshipsByTable[rel.fromTable].push(rel);
+        }
+        
+        for (const [tableName, relationships] of Object.entries(relationshipsByTable)) {
+            output.markdown(`## ${tableName}`);
+            
+            for (const rel of relationships) {
+                output.markdown(`- ${this.describeRelationship(rel)}`);
+            }
+            
+            output.markdown('');
+        }
+        
+        const oneWay = this.schema.relationships.filter(r => r.isOneWay);
+        if (oneWay.length > 0) {
+            output.markdown('## ➡️ One-Way Links');
+            output.markdown('*These link fields have no inverse field in the linked table.*');
+            for (const rel of oneWay) {
+                output.markdown(`- **${rel.fromTable}.${rel.fromField}** → **${rel.toTable}**`);
+            }
+            output.markdown('');
+        }
+        
+        if (this.schema.externalLinks.length > 0) {
+            output.markdown('## ⚠️ Links Outside the Analysis');
+            output.markdown('*These link fields point to tables that were not analyzed.*');
+            for (const link of this.schema.externalLinks) {
+                output.markdown(`- **${link.tableName}.${link.fieldName}** → ${this.formatExternalLinkTarget(link)}`);
+            }
+        }
+    }
+
+    // Name the target of a link that leaves the analysis
+    formatExternalLinkTarget(link) {
+        if (link.reason === 'outOfScope') {
+            return `${link.linkedTableName} (outside the scope)`;
+        }
+        return `${link.linkedTableId} (table not found)`;
+    }
+
+    // Describe a relationship on one line with both field names and cardinality
+    describeRelationship(rel) {
+        const inverse = rel.toField ? `**${rel.toTable}.${rel.toField}**` : `**${rel.toTable}**`;
+        const arrow = rel.isOneWay ? '→' : '↔';
+        const notes = [`${rel.cardinality} declared`];
+        
+        if (rel.inferredCardinality) {
+            notes.push(`${rel.inferredCardinality.cardinality} observed`);
+        }
+        if (rel.isSelfReference) {
+            notes.push('self-reference 🔁');
+        }
+        if (rel.isOneWay) {
+            notes.push('one-way');
+        }
+        
+        return `**${rel.fromTable}.${rel.fromField}** ${arrow} ${inverse} (${notes.join(', ')})`;
+    }
+
+    // Display detailed statistics
+    displayDetailedStatistics() {
+        output.clear();
+        output.markdown('# 📈 Detailed Statistics\n');
+        
+        const stats = this.schema.statistics;
+        
+        if (stats.error) {
+            output.markdown(`⚠️ Note: ${stats.error}\n`);
+        }
+        
+        // Field type distribution
+        if (stats.fieldTypeDistribution && Object.keys(stats.fieldTypeDistribution).length > 0) {
+            output.markdown('## Field Type Distribution');
+            const sortedTypes = Object.entries(stats.fieldTypeDistribution)
+                .sort((a, b) => b[1] - a[1]);
+            
+            for (const [type, count] of sortedTypes) {
+                const percentage = stats.totalFields > 0 ? ((count / stats.totalFields) * 100).toFixed(1) : '0';
+                output.markdown(`- **${type}**: ${count} (${percentage}%)`);
+            }
+        }
+        
+        // Field category distribution
+        if (stats.fieldCategoryDistribution && Object.keys(stats.fieldCategoryDistribution).length > 0) {
+            output.markdown('\n## Field Category Distribution');
+            const sortedCategories = Object.entries(stats.fieldCategoryDistribution)
+                .sort((a, b) => b[1] - a[1]);
+            
+            for (const [category, count] of sortedCategories) {
+                const percentage = stats.totalFields > 0 ? ((count / stats.totalFields) * 100).toFixed(1) : '0';
+                output.markdown(`- **${category}**: ${count} (${percentage}%)`);
+            }
+        }
+        
+        // Table sizes
+        if (stats.tableSizes && stats.tableSizes.length > 0) {
+            output.markdown('\n## Table Sizes');
+            output.markdown('| Table | Records | Fields |');
+            output.markdown('|-------|---------|--------|');
+            for (const table of stats.tableSizes) {
+                output.markdown(`| ${table.name} | ${table.recordCount.toLocaleString()} | ${table.fieldCount} |`);
+            }
+        }
+        
+        // Structure metrics
+        if (stats.structure) {
+            output.markdown('\n## 🕸️ Structure');
+            output.markdown(this.generateStructureMarkdown(stats.structure));
+        }
+        
+        // Empty fields
+        if (stats.emptyFields) {
+            output.markdown(`\n## Empty Fields (${stats.emptyFields.length})`);
+            if (stats.emptyFields.length === 0) {
+                output.markdown('*Every field has at least one value*');
+            }
+            for (const field of stats.emptyFields) {
+                output.markdown(`- **${field.table}.${field.field}** (${field.type})`);
+            }
+        }
+        
+        // Links leaving the analysis scope
+        if (stats.outOfScopeLinks && Object.keys(stats.outOfScopeLinks).length > 0) {
+            output.markdown(`\n## 🎯 Links Outside the Scope (${this.schema.externalLinks.length})`);
+            output.markdown(`*Scope: ${this.describeScope()}*`);
+            for (const [target, count] of Object.entries(stats.outOfScopeLinks).sort((a, b) => b[1] - a[1])) {
+                output.markdown(`- **${target}:** ${count} link field${count === 1 ? '' : 's'}`);
+            }
+        }
+        
+        // Unsupported field types
+        if (stats.unsupportedFields && stats.unsupportedFields.length > 0) {
+            output.markdown(`\n## ⚠️ Not Fully Supported Field Types (${stats.unsupportedFields.length})`);
+            output.markdown('*Options for these fields are kept as-is, but they are not categorized or converted by the exports*');
+            for (const field of stats.unsupportedFields) {
+                output.markdown(`- **${field.table}.${field.field}** (${field.type})`);
+            }
+        }
+    }
+
+    // Describe the structure metrics (complexity, components, hubs, path and per-table coupling) as Markdown
+    generateStructureMarkdown(structure) {
+        const complexity = structure.complexity;
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        let md = `- **Complexity score:** ${complexity.score} (${complexity.rating}) · ${plural(complexity.counts.tables, 'table')}, ${plural(complexity.counts.linkedTablePairs, 'linked table pair')}, ${plural(complexity.counts.computedFields, 'computed field')}\n`;
+        md += `- **Average linked tables per table:** ${structure.averageLinkedTables}\n`;
+        md += `- **Hub tables:** ${structure.hubTables.join(', ') || 'none'}\n`;
+        md += `- **Isolated tables:** ${structure.isolatedTables.join(', ') || 'none'}\n`;
+        md += `- **Longest link path:** ${structure.longestPath.length > 0 ? `${structure.longestPath.tables.join(' → ')} (${plural(structure.longestPath.length, 'link')})` : 'none'}\n`;
+        
+        const groups = structure.components.filter(component => component.length > 1);
+        md += `- **Connected components:** ${structure.components.length}`;
+        md += groups.length > 1 ? ' · these groups share no links and could be separate bases:\n' : '\n';
+        if (groups.length > 1) {
+            groups.forEach((component, index) => {
+                md += `  ${index + 1}. ${component.join(', ')}\n`;
+            });
+        }
+        
+        md += '\n| Table | Fan-in | Fan-out | Linked Tables | Computed / Raw Fields | Ratio |\n';
+        md += '|-------|--------|---------|---------------|-----------------------|-------|\n';
+        const sorted = [...structure.tables].sort((a, b) => b.linkedTables - a.linkedTables || a.name.localeCompare(b.name));
+        for (const table of sorted) {
+            const marker = table.isHub ? ' *(hub)*' : (table.isIsolated ? ' *(isolated)*' : '');
+            const ratio = table.computedToRawRatio === null ? '-' : table.computedToRawRatio;
+            md += `| ${this.escapeMarkdownCell(table.name)}${marker} | ${table.fanIn} | ${table.fanOut} | ${table.linkedTables} | ${table.computedFields} / ${table.rawFields} | ${ratio} |\n`;
+        }
+        return md;
+    }
+
+    // Display audit findings
+    async displayAudit() {
+        output.clear();
+        output.markdown('# 🩺 Audit\n');
+        output.markdown(this.generateAuditMarkdown(false));
+        
+        if (this.schema.audit.findings.length === 0) {
+            return;
+        }
+        
+        const format = await input.buttonsAsync(
+            'Export the audit findings?',
+            [
+                { label: '📝 Markdown', value: 'markdown' },
+                { label: '📄 JSON', value: 'json' },
+                { label: '← Back', value: 'back' }
+            ]
+        );
+        
+        if (format === 'markdown') {
+            this.displayExportData('MARKDOWN', this.generateAuditMarkdown());
+        } else if (format === 'json') {
+            this.displayExportData('JSON', JSON.stringify(this.schema.audit, null, 2));
+        }
+    }
+
+    // Search table, field, view and choice names and descriptions, then jump to a table or export the matches
+    async searchSchema() {
+        output.clear();
+        output.markdown('# 🔎 Search\n');
+        
+        const query = (await input.textAsync('Search for (leave empty to list everything that matches the filters):') || '').trim();
+        const filters = { category: null, type: null, computed: null };
+        
+        const useFilters = await input.buttonsAsync(
+            'Filter fields?',
+            [
+                { label: 'No filters', value: false },
+                { label: 'Filter by category, type or computed', value: true }
+            ]
+        );
+        
+        if (useFilters) {
+            const allFields = this.schema.tables.flatMap(t => t.fields);
+            const categories = [...new Set(allFields.map(f => f.category))].sort();
+            const category = await input.buttonsAsync(
+                'Field category:',
+                [{ label: 'Any category', value: 'any' }, ...categories.map(c => ({ label: c, value: c }))]
+            );
+            filters.category = category === 'any' ? null : category;
+            
+            const types = [...new Set(allFields.filter(f => !filters.category || f.category === filters.category).map(f => f.type))].sort();
+            const type = await input.buttonsAsync(
+                'Field type:',
+                [{ label: 'Any type', value: 'any' }, ...types.map(t => ({ label: t, value: t }))]
+            );
+            filters.type = type === 'any' ? null : type;
+            
+            const computed = await input.buttonsAsync(
+                'Computed fields:',
+                [
+                    { label: 'Both', value: 'any' },
+                    { label: 'Computed only', value: 'computed' },
+                    { label: 'Non-computed only', value: 'raw' }
+                ]
+            );
+            filters.computed = computed === 'any' ? null : computed === 'computed';
+        }
+        
+        const results = this.findSchemaMatches(query, filters);
+        
+        output.clear();
+        output.markdown('# 🔎 Search Results\n');
+        output.markdown(`${this.describeSearch(query, filters)} · **${results.length}** matches\n`);
+        
+        if (results.length === 0) {
+            output.markdown('*Nothing matched.*');
+            return;
+        }
+        
+        const matchedTableIds = [];
+        for (const result of results) {
+            if (!matchedTableIds.includes(result.tableId)) {
+                matchedTableIds.push(result.tableId);
+                output.markdown(`\n## ${result.tableName}`);
+            }
+            output.markdown(`- ${this.formatSearchResult(result)}`);
+        }
+        
+        const choice = await input.buttonsAsync(
+            '\nWhat next?',
+            [
+                { label: '📊 Open a Table', value: 'open' },
+                { label: '📊 Export CSV', value: 'csv' },
+                { label: '📝 Export Markdown', value: 'markdown' },
+                { label: '← Back', value: 'back' }
+            ]
+        );
+        
+        if (choice === 'open') {
+            const tableOptions = matchedTableIds.map(id => ({
+                label: this.schema.tables.find(t => t.id === id).name,
+                value: id
+            }));
+            tableOptions.push({ label: '← Back', value: 'back' });
+            
+            const tableId = await input.buttonsAsync('Open which table?', tableOptions);
+            if (tableId !== 'back') {
+                await this.displayTableDetails(tableId);
+            }
+        } else if (choice === 'csv') {
+            this.displayExportData('CSV', this.generateSearchCSV(results));
+        } else if (choice === 'markdown') {
+            this.displayExportData('MARKDOWN', this.generateSearchMarkdown(query, filters, results));
+        }
+    }
+
+    // Find tables, fields, views and select choices whose name or description contains the query
+    findSchemaMatches(query, filters) {
+        const needle = query.toLowerCase();
+        const fieldFiltered = filters.category !== null || filters.type !== null || filters.computed !== null;
+        const matchesText = (text) => Boolean(text) && String(text).toLowerCase().includes(needle);
+        const matchedOn = (name, description) => {
+            if (matchesText(name)) return 'name';
+            if (description && description !== 'No description' && matchesText(description)) return 'description';
+            return null;
+        };
+        const fieldPasses = (field) =>
+            (filters.category === null || field.category === filters.category) &&
+            (filters.type === null || field.type === filters.type) &&
+            (filters.computed === null || Boolean(field.isComputed) === filters.computed);
+        
+        const results = [];
+        for (const table of this.schema.tables) {
+            const location = { tableId: table.id, tableName: table.name };
+            
+            // Table and view matches only make sense without field filters
+            if (!fieldFiltered) {
+                const tableMatch = matchedOn(table.name, table.description);
+                if (tableMatch) {
+                    results.push({ ...location, kind: 'table', name: table.name, matchedOn: tableMatch });
+                }
+            }
+            
+            for (const field of table.fields) {
+                if (!fieldPasses(field)) continue;
+                const fieldResult = {
+                    ...location,
+                    fieldId: field.id,
+                    fieldName: field.name,
+                    type: field.type,
+                    category: field.category,
+                    isComputed: Boolean(field.isComputed),
+                    description: field.description || ''
+                };
+                
+                const fieldMatch = matchedOn(field.name, field.description);
+                if (fieldMatch) {
+                    results.push({ ...fieldResult, kind: 'field', name: field.name, matchedOn: fieldMatch });
+                }
+                
+                for (const choice of (field.options && field.options.choices) || []) {
+                    if (needle && matchesText(choice.name)) {
+                        results.push({ ...fieldResult, kind: 'choice', name: choice.name, matchedOn: 'name' });
+                    }
+                }
+            }
+            
+            if (!fieldFiltered) {
+                for (const view of table.views) {
+                    if (matchesText(view.name)) {
+                        results.push({ ...location, kind: 'view', name: view.name, viewId: view.id, viewType: view.type, matchedOn: 'name' });
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+
+    // Describe a search query and its filters on one line
+    describeSearch(query, filters) {
+        const parts = [query ? `Query **"${query}"**` : 'No query'];
+        if (filters.category) parts.push(`category ${filters.category}`);
+        if (filters.type) parts.push(`type ${filters.type}`);
+        if (filters.computed !== null) parts.push(filters.computed ? 'computed only' : 'non-computed only');
+        return parts.join(' · ');
+    }
+
+    // Format one search result as "Table → Field (type)"
+    formatSearchResult(result) {
+        const matchNote = result.matchedOn === 'description' ? ' *(description)*' : '';
+        switch (result.kind) {
+            case 'table':
+                return `📊 **${result.tableName}** (table)${matchNote}`;
+            case 'view':
+                return `👁️ ${result.tableName} → view **${result.name}** (${result.viewType})`;
+            case 'choice':
+                return `🏷️ ${result.tableName} → ${result.fieldName} → choice **${result.name}**`;
+            default:
+                return `🔤 ${result.tableName} → **${result.fieldName}** (${result.type}${result.isComputed ? ', computed' : ''})${matchNote}`;
+        }
+    }
+
+    // Generate a CSV of search results
+    generateSearchCSV(results) {
+        const header = ['Match', 'Table', 'Table ID', 'Field', 'Field ID', 'Type', 'Category', 'Computed', 'Name', 'Matched On', 'Description'];
+        const rows = results.map(result => [
+            result.kind,
+            result.tableName,
+            result.tableId,
+            result.fieldName || '',
+            result.fieldId || '',
+            result.type || result.viewType || '',
+            result.category || '',
+            result.isComputed === undefined ? '' : result.isComputed,
+            result.name,
+            result.matchedOn,
+            result.description || ''
+        ]);
+        return this.toCsvFile(header, rows);
+    }
+
+    // Generate a Markdown subset of the schema with the tables and fields that matched a search
+    generateSearchMarkdown(query, filters, results) {
+        let md = `# Schema Search: ${this.schema.baseName}\n\n`;
+        md += `${this.describeSearch(query, filters)} · ${results.length} matches\n\n`;
+        md += `Scope: ${this.describeScope()}\n\n`;
+        
+        const tableIds = [...new Set(results.map(r => r.tableId))];
+        for (const tableId of tableIds) {
+            const table = this.schema.tables.find(t => t.id === tableId);
+            const tableResults = results.filter(r => r.tableId === tableId);
+            md += `## ${table.name}\n\n`;
+            
+            if (tableResults.some(r => r.kind === 'table') && table.description !== 'No description') {
+                md += `> ${table.description.replace(/\r?\n/g, '\n> ')}\n\n`;
+            }
+            
+            const fieldIds = [...new Set(tableResults.filter(r => r.fieldId).map(r => r.fieldId))];
+            if (fieldIds.length > 0) {
+                md += '| Field | Type | Category | Computed | Matched | Description |\n';
+                md += '|-------|------|----------|----------|---------|-------------|\n';
+                for (const fieldId of fieldIds) {
+                    const field = table.fields.find(f => f.id === fieldId);
+                    const matched = tableResults
+                        .filter(r => r.fieldId === fieldId)
+                        .map(r => r.kind === 'choice' ? `choice "${r.name}"` : r.matchedOn)
+                        .join(', ');
+                    const cells = [field.name, field.type, field.category, field.isComputed ? 'Yes' : 'No', matched, field.description || '-']
+                        .map(cell => this.escapeMarkdownCell(cell));
+                    md += `| ${cells.join(' | ')} |\n`;
+                }
+                md += '\n';
+            }
+            
+            const views = tableResults.filter(r => r.kind === 'view');
+            if (views.length > 0) {
+                md += `Views: ${views.map(v => `${v.name} (${v.viewType})`).join(', ')}\n\n`;
+            }
+        }
+        
+        return md;
+    }
+
+    // Summarize a field profile on one line
+    formatProfileSummary(profile) {
+        const parts = [
+            `${profile.fillRate}% filled (${profile.filled}/${profile.totalRecords})`,
+            `${profile.distinctCount} distinct`
+        ];
+        if (profile.min !== undefined) {
+            parts.push(`min ${profile.min}`, `max ${profile.max}`);
+        }
+        if (profile.averageLength !== undefined) {
+            parts.push(`avg length ${profile.averageLength}`);
+        }
+        if (profile.totalRecords > 0 && profile.filled === 0) {
+            parts.push('⚠️ never used');
+        }
+        return parts.join(', ');
+    }
+
+    // Display full schema
+    async displayFullSchema() {
+        output.clear();
+        output.markdown('# 📝 Full Schema Export\n');
+        
+        const formattedSchema = JSON.stringify(this.schema, null, 2);
+        
+        output.markdown('```json');
+        output.text(formattedSchema.substring(0, 10000));
+        if (formattedSchema.length > 10000) {
+            output.text('\n... (truncated - use export function for full schema)');
+        }
+        output.markdown('```');
+    }
+
+    // Export schema
+    async exportSchema() {
+        output.clear();
+        output.markdown('# 💾 Export Schema\n');
+        
+        // The configured export format comes first
+        const formats = EXPORT_FORMATS.map(format => format.value === CONFIG.EXPORT_FORMAT
+            ? { label: `⭐ ${format.label}`, value: format.value }
+            : format);
+        formats.sort((a, b) => (b.value === CONFIG.EXPORT_FORMAT) - (a.value === CONFIG.EXPORT_FORMAT));
+        
+        const format = await input.buttonsAsync('Select export format:', formats);
+        
+        const exportOptions = await this.promptExportOptions(format);
+        if (!exportOptions) {
+            return;
+        }
+
+        // Bundles are shown one file at a time, so each can be copied into its own file
+        const bundle = this.generateExportBundle(format, exportOptions);
+        if (bundle) {
+            for (const [fileName, content] of Object.entries(bundle)) {
+                this.displayExportData(`${format.toUpperCase()}: ${fileName}`, content);
+            }
+            return;
+        }
+
+        this.displayExportData(format.toUpperCase(), this.generateExport(format, exportOptions));
+    }
+
+    // Ask for the options an export format needs (returns null to cancel)
+    async promptExportOptions(format) {
+        switch (format) {
+            case 'mermaid':
+            case 'dot':
+            case 'plantuml':
+                return await this.promptDiagramOptions();
+            case 'typescript': {
+                const keyBy = await input.buttonsAsync(
+                    'Key interface properties by:',
+                    [
+                        { label: 'Field name', value: 'name' },
+                        { label: 'Field ID', value: 'id' }
+                    ]
+                );
+                return { keyBy };
+            }
+            case 'markdown': {
+                const layout = await input.buttonsAsync(
+                    'Markdown layout:',
+                    [
+                        { label: 'One document', value: 'single' },
+                        { label: 'One file per table plus an index', value: 'split' }
+                    ]
+                );
+                return { layout };
+            }
+            case 'jsonschema': {
+                const layout = await input.buttonsAsync(
+                    'JSON Schema layout:',
+                    [
+                        { label: 'One bundle with $defs', value: 'bundle' },
+                        { label: 'One document per table', value: 'perTable' }
+                    ]
+                );
+                return { layout };
+            }
+            case 'sql': {
+                const dialect = await input.buttonsAsync(
+                    'SQL dialect:',
+                    [
+                        { label: 'PostgreSQL', value: 'postgresql' },
+                        { label: 'SQLite', value: 'sqlite' }
+                    ]
+                );
+                return { dialect };
+            }
+            case 'rebuild': {
+                const source = await input.buttonsAsync(
+                    'Rebuild which structure?',
+                    [
+                        { label: 'This analysis', value: 'current' },
+                        { label: 'Paste a JSON export', value: 'paste' }
+                    ]
+                );
+                if (source !== 'paste') {
+                    return {};
+                }
+                const sourceSchema = this.parseSchemaSnapshot(await input.textAsync('Paste the JSON export to rebuild:'));
+                return sourceSchema ? { sourceSchema } : null;
+            }
+            default:
+                return {};
+        }
+    }
+
+    // Generate an export in the given format (no interaction)
+    generateExport(format, options = {}) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(this.schema, null, 2);
+            case 'markdown':
+                return this.generateMarkdownExport(options);
+            case 'html':
+                return this.generateHtmlExport();
+            case 'csv':
+                throw new Error('The CSV export is written as one file per entity; use generateExportBundle()');
+            case 'impact':
+                return this.generateImpactReport();
+            case 'audit':
+                return this.generateAuditMarkdown();
+            case 'choices':
+                return this.generateChoiceCleanupReport();
+            case 'typeadvice':
+                return this.generateTypeAdviceReport();
+            case 'normalization':
+                return this.generateNormalizationReport();
+            case 'mermaid':
+                return this.generateMermaidDiagram(this.getDiagramModel(options));
+            case 'dot':
+                return this.generateDotDiagram(this.getDiagramModel(options));
+            case 'plantuml':
+                return this.generatePlantUmlDiagram(this.getDiagramModel(options));
+            case 'typescript':
+                return this.generateTypeScriptExport(options);
+            case 'jsonschema':
+                return this.generateJsonSchemaExport(options);
+            case 'sql':
+                return this.generateSqlExport(options);
+            case 'rebuild':
+                return this.generateRebuildScript(options.sourceSchema || this.schema);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    // Exports written as several files, as file name → content (null for single-file exports)
+    generateExportBundle(format, options = {}) {
+        if (format === 'csv') {
+            return this.generateCsvBundle();
+        }
+        if (format === 'markdown' && options.layout === 'split') {
+            return this.generateMarkdownFiles();
+        }
+        if (format === 'jsonschema' && options.layout === 'perTable') {
+            return this.generateJsonSchemaFiles();
+        }
+        return null;
+    }
+
+    // Display generated export data for copying
+    displayExportData(label, exportData) {
+        output.markdown(`## Export Generated (${label})\n`);
+        output.markdown('Copy the data below:\n');
+        output.markdown('```');
+        output.text(exportData.substring(0, 50000));
+        if (exportData.length > 50000) {
+            output.text('\n... (truncated)');
+        }
+        output.markdown('```');
+    }
+
+    // Compare the current schema with a previously exported JSON snapshot
+    async compareWithSnapshot() {
+        output.clear();
+        output.markdown('# 🔀 Compare with Snapshot\n');
+        output.markdown('Paste a JSON export from a previous run, or pick a saved snapshot, to see what changed since then.\n');
+        
+        const source = await input.buttonsAsync(
+            'Compare with:',
+            [
+                { label: '📋 Paste JSON Export', value: 'paste' },
+                { label: '🗂️ Saved Snapshot', value: 'history' }
+            ]
+        );
+        
+        const previous = source === 'history'
+            ? await this.chooseSnapshot('Compare with which snapshot?')
+            : this.parseSchemaSnapshot(await input.textAsync('Paste the previous JSON export:'));
+        if (!previous) {
+            return;
+        }
+        
+        const diff = this.diffSchemas(previous, this.schema);
+        this.displaySchemaDiff(diff);
+        
+        const format = await input.buttonsAsync(
+            'Export the change report?',
+            [
+                { label: '📝 Markdown', value: 'markdown' },
+                { label: '📄 JSON', value: 'json' },
+                { label: '← Back', value: 'back' }
+            ]
+        );
+        
+        if (format === 'markdown') {
+            this.displayExportData('MARKDOWN', this.generateDiffMarkdown(diff));
+        } else if (format === 'json') {
+            this.displayExportData('JSON', JSON.stringify(diff, null, 2));
+        }
+    }
+
+    // Parse a pasted JSON export, reporting problems to the user (returns null when invalid)
+    parseSchemaSnapshot(snapshotInput) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(snapshotInput);
+        } catch (error) {
+            output.markdown(`❌ **Could not parse snapshot:** ${error.message}`);
+            return null;
+        }
+        
+        if (!snapshot || !Array.isArray(snapshot.tables)) {
+            output.markdown('❌ **Invalid snapshot:** expected a JSON export with a `tables` array.');
+            return null;
+        }
+        
+        return snapshot;
+    }
+
+    // Get the snapshot history table, creating it when asked (returns null when it does not exist)
+    async getSnapshotTable(createIfMissing) {
+        const table = base.getTableIfExists(CONFIG.SNAPSHOT_TABLE_NAME);
+        if (table) {
+            const missing = SNAPSHOT_TABLE_FIELDS.filter(spec => !table.getFieldIfExists(spec.name)).map(spec => spec.name);
+            if (missing.length > 0) {
+                throw new Error(`Table "${CONFIG.SNAPSHOT_TABLE_NAME}" is missing the fields: ${missing.join(', ')}`);
+            }
+            return table;
+        }
+        
+        if (!createIfMissing) {
+            return null;
+        }
+        
+        output.markdown(`Creating table **${CONFIG.SNAPSHOT_TABLE_NAME}**...`);
+        const tableId = await base.createTableAsync(CONFIG.SNAPSHOT_TABLE_NAME, SNAPSHOT_TABLE_FIELDS);
+        return base.getTable(tableId);
+    }
+
+    // Save the current schema as a snapshot, split into long-text chunks across rows
+    async saveSnapshot() {
+        const table = await this.getSnapshotTable(true);
+        const json = JSON.stringify(this.schema);
+        const chunks = [];
+        for (let start = 0; start < json.length; start += SNAPSHOT_CHUNK_SIZE) {
+            chunks.push(json.substring(start, start + SNAPSHOT_CHUNK_SIZE));
+        }
+        
+        const summary = {
+            'Tables': this.schema.tables.length,
+            'Fields': this.schema.tables.reduce((sum, t) => sum + t.fields.length, 0),
+            'Views': this.schema.tables.reduce((sum, t) => sum + t.views.length, 0),
+            'Records': this.schema.tables.reduce((sum, t) => sum + (t.recordCount || 0), 0),
+            'Relationships': this.schema.relationships.length
+        };
+        
+        const records = chunks.map((chunk, index) => ({
+            fields: {
+                'Snapshot': this.schema.generatedAt,
+                'Generated At': this.schema.generatedAt,
+                'Base Name': this.schema.baseName,
+                'Part': index + 1,
+                'Parts': chunks.length,
+                ...summary,
+                'Schema JSON': chunk
+            }
+        }));
+        
+        // createRecordsAsync accepts at most 50 records per call
+        for (let start = 0; start < records.length; start += 50) {
+            await table.createRecordsAsync(records.slice(start, start + 50));
+        }
+        
+        output.markdown(`🗂️ Saved snapshot to **${CONFIG.SNAPSHOT_TABLE_NAME}** (${chunks.length} ${chunks.length === 1 ? 'row' : 'rows'}, ${json.length.toLocaleString()} characters)`);
+    }
+
+    // List saved snapshots, newest first, without loading their JSON
+    async listSnapshots() {
+        const table = await this.getSnapshotTable(false);
+        if (!table) {
+            return [];
+        }
+        
+        const summaryFields = SNAPSHOT_TABLE_FIELDS.filter(spec => spec.name !== 'Schema JSON').map(spec => spec.name);
+        const query = await table.selectRecordsAsync({ fields: summaryFields });
+        const snapshots = new Map();
+        
+        for (const record of query.records) {
+            const snapshotId = record.getCellValue('Snapshot');
+            if (!snapshotId) continue;
+            
+            if (!snapshots.has(snapshotId)) {
+                snapshots.set(snapshotId, {
+                    id: snapshotId,
+                    generatedAt: record.getCellValue('Generated At') || snapshotId,
+                    baseName: record.getCellValue('Base Name') || '',
+                    parts: record.getCellValue('Parts') || 1,
+                    tables: record.getCellValue('Tables') || 0,
+                    fields: record.getCellValue('Fields') || 0,
+                    records: record.getCellValue('Records') || 0,
+                    relationships: record.getCellValue('Relationships') || 0,
+                    rows: []
+                });
+            }
+            snapshots.get(snapshotId).rows.push({ recordId: record.id, part: record.getCellValue('Part') || 1 });
+        }
+        
+        return [...snapshots.values()].sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)));
+    }
+
+    // Load a saved snapshot by joining its chunks in order (returns null when parts are missing)
+    async loadSnapshot(snapshot) {
+        if (snapshot.rows.length !== snapshot.parts) {
+            output.markdown(`❌ **Snapshot ${snapshot.id} is incomplete:** ${snapshot.rows.length} of ${snapshot.parts} parts found.`);
+            return null;
+        }
+        
+        const table = await this.getSnapshotTable(false);
+        const rows = [...snapshot.rows].sort((a, b) => a.part - b.part);
+        let json = '';
+        // selectRecordsAsync accepts at most 100 record IDs per call
+        for (let start = 0; start < rows.length; start += 100) {
+            const recordIds = rows.slice(start, start + 100).map(row => row.recordId);
+            const query = await table.selectRecordsAsync({ fields: ['Schema JSON'], recordIds });
+            for (const recordId of recordIds) {
+                json += query.getRecord(recordId).getCellValue('Schema JSON') || '';
+            }
+        }
+        
+        return this.parseSchemaSnapshot(json);
+    }
+
+    // Let the user pick a saved snapshot (returns null when there are none or the user goes back)
+    async chooseSnapshot(label) {
+        const snapshots = await this.listSnapshots();
+        if (snapshots.length === 0) {
+            output.markdown(`*No snapshots saved yet. Turn on **Save Snapshots** in settings to keep each analysis in **${CONFIG.SNAPSHOT_TABLE_NAME}**.*`);
+            return null;
+        }
+        
+        output.markdown('| Saved | Base | Tables | Fields | Records | Relationships |');
+        output.markdown('|-------|------|--------|--------|---------|---------------|');
+        for (const snapshot of snapshots) {
+            output.markdown(`| ${new Date(snapshot.generatedAt).toLocaleString()} | ${snapshot.baseName} | ${snapshot.tables} | ${snapshot.fields} | ${snapshot.records.toLocaleString()} | ${snapshot.relationships} |`);
+        }
+        
+        // Buttons for the 10 most recent snapshots
+        const options = snapshots.slice(0, 10).map((snapshot, index) => ({
+            label: new Date(snapshot.generatedAt).toLocaleString(),
+            value: index
+        }));
+        options.push({ label: '← Back', value: 'back' });
+        
+        const choice = await input.buttonsAsync(label, options);
+        if (choice === 'back') {
+            return null;
+        }
+        
+        return this.loadSnapshot(snapshots[choice]);
+    }
+
+    // Browse saved snapshots and open one in the results menu without re-analyzing
+    async browseSnapshots() {
+        output.clear();
+        output.markdown('# 🗂️ Snapshot History\n');
+        
+        const snapshot = await this.chooseSnapshot('Open which snapshot?');
+        if (!snapshot) {
+            return;
+        }
+        
+        this.schema = { ...this.schema, ...snapshot };
+        await this.displayResults();
+    }
+
+    // Build a structured change report between two schemas (matched by ID)
+    diffSchemas(previous, current) {
+        const diff = {
+            previous: {
+                baseName: previous.baseName || 'Unknown',
+                baseId: previous.baseId || null,
+                generatedAt: previous.generatedAt || null
+            },
+            current: {
+                baseName: current.baseName,
+                baseId: current.baseId,
+                generatedAt: current.generatedAt
+            },
+            tables: { added: [], removed: [], renamed: [], descriptionChanged: [] },
+            fields: { added: [], removed: [], renamed: [], typeChanged: [], choicesChanged: [], linkTargetChanged: [], descriptionChanged: [] },
+            views: { added: [], removed: [], renamed: [] },
+            summary: {}
+        };
+        
+        const normalizeDescription = (description) => (description && description !== 'No description') ? description : '';
+        const tableNameById = {};
+        for (const table of [...previous.tables, ...current.tables]) {
+            tableNameById[table.id] = table.name;
+        }
+        
+        // Only tables and field categories covered by both analyses are compared, so a scoped run reports nothing as removed or added
+        const scopes = [previous.scope, current.scope].filter(Boolean);
+        const outOfScopeTableIds = new Set(scopes.flatMap(scope => (scope.excludedTables || []).map(table => table.id)));
+        const categoryLists = scopes.map(scope => scope.fieldCategories || []).filter(categories => categories.length > 0);
+        const fieldsInScope = (table) => (table.fields || []).filter(field => field.id === table.primaryFieldId ||
+            categoryLists.every(categories => categories.includes(field.category)));
+        diff.scope = {
+            isLimited: outOfScopeTableIds.size > 0 || categoryLists.length > 0,
+            previous: this.describeScope(previous.scope || null),
+            current: this.describeScope(current.scope || null),
+            skippedTableCount: outOfScopeTableIds.size
+        };
+        
+        const previousTables = new Map(previous.tables.filter(t => !outOfScopeTableIds.has(t.id)).map(t => [t.id, t]));
+        const currentTables = new Map(current.tables.filter(t => !outOfScopeTableIds.has(t.id)).map(t => [t.id, t]));
+        
+        for (const [tableId, table] of currentTables) {
+            if (!previousTables.has(tableId)) {
+                diff.tables.added.push({ tableId, tableName: table.name });
+            }
+        }
+        
+        for (const [tableId, oldTable] of previousTables) {
+            const newTable = currentTables.get(tableId);
+            if (!newTable) {
+                diff.tables.removed.push({ tableId, tableName: oldTable.name });
+                continue;
+            }
+            
+            const location = { tableId, tableName: newTable.name };
+            
+            if (oldTable.name !== newTable.name) {
+                diff.tables.renamed.push({ ...location, from: oldTable.name, to: newTable.name });
+            }
+            if (normalizeDescription(oldTable.description) !== normalizeDescription(newTable.description)) {
+                diff.tables.descriptionChanged.push({
+                    ...location,
+                    from: normalizeDescription(oldTable.description),
+                    to: normalizeDescription(newTable.description)
+                });
+            }
+            
+            this.diffFields(fieldsInScope(oldTable), fieldsInScope(newTable), location, tableNameById, diff.fields);
+            this.diffViews(oldTable.views || [], newTable.views || [], location, diff.views);
+        }
+        
+        for (const [group, changes] of Object.entries({ tables: diff.tables, fields: diff.fields, views: diff.views })) {
+            for (const [kind, list] of Object.entries(changes)) {
+                diff.summary[`${group}.${kind}`] = list.length;
+            }
+        }
+        diff.summary.totalChanges = Object.values(diff.summary).reduce((sum, count) => sum + count, 0);
+        
+        return diff;
+    }
+
+    // Compare the fields of a table present in both schemas
+    diffFields(oldFields, newFields, location, tableNameById, changes) {
+        const normalizeDescription = (description) => description || '';
+        const oldById = new Map(oldFields.map(f => [f.id, f]));
+        const newById = new Map(newFields.map(f => [f.id, f]));
+        
+        for (const [fieldId, field] of newById) {
+            if (!oldById.has(fieldId)) {
+                changes.added.push({ ...location, fieldId, fieldName: field.name, type: field.type });
+            }
+        }
+        
+        for (const [fieldId, oldField] of oldById) {
+            const newField = newById.get(fieldId);
+            if (!newField) {
+                changes.removed.push({ ...location, fieldId, fieldName: oldField.name, type: oldField.type });
+                continue;
+            }
+            
+            const fieldLocation = { ...location, fieldId, fieldName: newField.name };
+            
+            if (oldField.name !== newField.name) {
+                changes.renamed.push({ ...fieldLocation, from: oldField.name, to: newField.name });
+            }
+            if (oldField.type !== newField.type) {
+                changes.typeChanged.push({ ...fieldLocation, from: oldField.type, to: newField.type });
+            }
+            if (normalizeDescription(oldField.description) !== normalizeDescription(newField.description)) {
+                changes.descriptionChanged.push({
+                    ...fieldLocation,
+                    from: normalizeDescription(oldField.description),
+                    to: normalizeDescription(newField.description)
+                });
+            }
+            if ((oldField.linkedTableId || null) !== (newField.linkedTableId || null)) {
+                changes.linkTargetChanged.push({
+                    ...fieldLocation,
+                    from: oldField.linkedTableId ? (tableNameById[oldField.linkedTableId] || oldField.linkedTableId) : null,
+                    fromTableId: oldField.linkedTableId || null,
+                    to: newField.linkedTableId ? (tableNameById[newField.linkedTableId] || newField.linkedTableId) : null,
+                    toTableId: newField.linkedTableId || null
+                });
+            }
+            
+            const choiceChanges = this.diffChoices(
+                (oldField.options && oldField.options.choices) || [],
+                (newField.options && newField.options.choices) || []
+            );
+            if (choiceChanges) {
+                changes.choicesChanged.push({ ...fieldLocation, ...choiceChanges });
+            }
+        }
+    }
+
+    // Compare select choices, matched by choice ID and falling back to name
+    diffChoices(oldChoices, newChoices) {
+        const choiceKey = (choice) => (choice.id && choice.id !== 'unknown') ? choice.id : `name:${choice.name}`;
+        const oldByKey = new Map(oldChoices.map(c => [choiceKey(c), c]));
+        const newByKey = new Map(newChoices.map(c => [choiceKey(c), c]));
+        
+        const result = { added: [], removed: [], renamed: [], recolored: [] };
+        
+        for (const [key, choice] of newByKey) {
+            if (!oldByKey.has(key)) {
+                result.added.push(choice.name);
+            }
+        }
+        for (const [key, oldChoice] of oldByKey) {
+            const newChoice = newByKey.get(key);
+            if (!newChoice) {
+                result.removed.push(oldChoice.name);
+                continue;
+            }
+            if (oldChoice.name !== newChoice.name) {
+                result.renamed.push({ from: oldChoice.name, to: newChoice.name });
+            }
+            if (oldChoice.color !== newChoice.color) {
+                result.recolored.push({ name: newChoice.name, from: oldChoice.color, to: newChoice.color });
+            }
+        }
+        
+        const hasChanges = Object.values(result).some(list => list.length > 0);
+        return hasChanges ? result : null;
+    }
+
+    // Compare the views of a table present in both schemas
+    diffViews(oldViews, newViews, location, changes) {
+        const oldById = new Map(oldViews.map(v => [v.id, v]));
+        const newById = new Map(newViews.map(v => [v.id, v]));
+        
+        for (const [viewId, view] of newById) {
+            if (!oldById.has(viewId)) {
+                changes.added.push({ ...location, viewId, viewName: view.name, type: view.type });
+            }
+        }
+        for (const [viewId, oldView] of oldById) {
+            const newView = newById.get(viewId);
+            if (!newView) {
+                changes.removed.push({ ...location, viewId, viewName: oldView.name, type: oldView.type });
+            } else if (oldView.name !== newView.name) {
+                changes.renamed.push({ ...location, viewId, viewName: newView.name, from: oldView.name, to: newView.name });
+            }
+        }
+    }
+
+    // Display a schema change report
+    displaySchemaDiff(diff) {
+        output.clear();
+        output.markdown('# 🔀 Schema Changes\n');
+        output.markdown(this.generateDiffMarkdown(diff, false));
+    }
+
+    // Generate Markdown for a schema change report
+    generateDiffMarkdown(diff, includeTitle = true) {
+        const formatDate = (date) => date ? new Date(date).toLocaleString() : 'unknown';
+        let md = includeTitle ? `# Schema Changes: ${diff.current.baseName}\n\n` : '';
+        md += `- **Previous snapshot:** ${diff.previous.baseName} (${formatDate(diff.previous.generatedAt)})\n`;
+        md += `- **Current schema:** ${diff.current.baseName} (${formatDate(diff.current.generatedAt)})\n`;
+        if (diff.scope && diff.scope.isLimited) {
+            md += `- **Scope:** only tables and field categories covered by both analyses are compared (${diff.scope.skippedTableCount} tables outside a scope skipped)\n`;
+            if (diff.scope.previous !== diff.scope.current) {
+                md += `- **Scopes differ:** previous: ${diff.scope.previous}; current: ${diff.scope.current}\n`;
+            }
+        }
+        md += `- **Total changes:** ${diff.summary.totalChanges}\n\n`;
+        
+        if (diff.summary.totalChanges === 0) {
+            md += '*No changes detected.*\n';
+            return md;
+        }
+        
+        const section = (title, list, describe) => {
+            if (list.length === 0) return '';
+            let text = `### ${title} (${list.length})\n\n`;
+            for (const item of list) {
+                text += `- ${describe(item)}\n`;
+            }
+            return text + '\n';
+        };
+        const fieldPath = (item) => `**${item.tableName}** → **${item.fieldName}**`;
+        const quote = (text) => text ? `"${text}"` : '*(empty)*';
+        
+        let tablesMd = '';
+        tablesMd += section('Added', diff.tables.added, t => `**${t.tableName}**`);
+        tablesMd += section('Removed', diff.tables.removed, t => `**${t.tableName}**`);
+        tablesMd += section('Renamed', diff.tables.renamed, t => `${t.from} → **${t.to}**`);
+        tablesMd += section('Description Changed', diff.tables.descriptionChanged, t => `**${t.tableName}**: ${quote(t.from)} → ${quote(t.to)}`);
+        if (tablesMd) {
+            md += `## Tables\n\n${tablesMd}`;
+        }
+        
+        let fieldsMd = '';
+        fieldsMd += section('Added', diff.fields.added, f => `${fieldPath(f)} (${f.type})`);
+        fieldsMd += section('Removed', diff.fields.removed, f => `${fieldPath(f)} (${f.type})`);
+        fieldsMd += section('Renamed', diff.fields.renamed, f => `**${f.tableName}** → ${f.from} → **${f.to}**`);
+        fieldsMd += section('Type Changed', diff.fields.typeChanged, f => `${fieldPath(f)}: ${f.from} → ${f.to}`);
+        fieldsMd += section('Choices Changed', diff.fields.choicesChanged, f => {
+            const parts = [];
+            if (f.added.length > 0) parts.push(`added ${f.added.join(', ')}`);
+            if (f.removed.length > 0) parts.push(`removed ${f.removed.join(', ')}`);
+            if (f.renamed.length > 0) parts.push(`renamed ${f.renamed.map(r => `${r.from} → ${r.to}`).join(', ')}`);
+            if (f.recolored.length > 0) parts.push(`recolored ${f.recolored.map(r => r.name).join(', ')}`);
+            return `${fieldPath(f)}: ${parts.join('; ')}`;
+        });
+        fieldsMd += section('Link Target Changed', diff.fields.linkTargetChanged, f => `${fieldPath(f)}: ${f.from || 'none'} → ${f.to || 'none'}`);
+        fieldsMd += section('Description Changed', diff.fields.descriptionChanged, f => `${fieldPath(f)}: ${quote(f.from)} → ${quote(f.to)}`);
+        if (fieldsMd) {
+            md += `## Fields\n\n${fieldsMd}`;
+        }
+        
+        let viewsMd = '';
+        viewsMd += section('Added', diff.views.added, v => `**${v.tableName}** → **${v.viewName}** (${v.type})`);
+        viewsMd += section('Removed', diff.views.removed, v => `**${v.tableName}** → **${v.viewName}** (${v.type})`);
+        viewsMd += section('Renamed', diff.views.renamed, v => `**${v.tableName}** → ${v.from} → **${v.to}**`);
+        if (viewsMd) {
+            md += `## Views\n\n${viewsMd}`;
+        }
+        
+        return md;
+    }
+
+    // Generate Markdown documentation: contents, summary, one section per table with cross-links, relationships
+    generateMarkdownExport(options = {}) {
+        if (options.layout === 'split') {
+            return Object.entries(this.generateMarkdownFiles()).map(([fileName, md]) => `<!-- ${fileName} -->\n${md}`).join('\n');
+        }
+        
+        const context = this.getMarkdownContext(null);
+        const hasRelationships = this.schema.relationships.length > 0 || this.schema.externalLinks.length > 0;
+        let md = this.generateMarkdownHeader();
+        
+        md += '<a id="contents"></a>\n\n## Contents\n\n';
+        md += '- [Summary](#summary)\n';
+        md += this.schema.statistics.structure ? '- [Structure](#structure)\n' : '';
+        md += '- [Tables](#tables)\n';
+        for (const table of this.schema.tables) {
+            md += `  - [${this.escapeMarkdownLinkText(table.name)}](${context.href(table.id)})\n`;
+        }
+        md += hasRelationships ? '- [Relationships](#relationships)\n' : '';
+        md += '\n';
+        
+        md += this.generateMarkdownOverview(context);
+        for (const table of this.schema.tables) {
+            md += this.generateMarkdownTableSection(table, context, 2);
+            md += '[↑ Contents](#contents)\n\n';
+        }
+        md += this.generateMarkdownRelationships(context);
+        
+        return md;
+    }
+
+    // Generate the split Markdown documentation: index.md plus one file per table, as file name → content
+    generateMarkdownFiles() {
+        const fileNames = this.buildIdentifierMap(this.schema.tables, { lowercase: true, reserved: ['index'] });
+        const context = this.getMarkdownContext(fileNames);
+        const files = {};
+        
+        let index = this.generateMarkdownHeader();
+        index += this.generateMarkdownOverview(context);
+        index += this.generateMarkdownRelationships(context);
+        files['index.md'] = index;
+        
+        for (const table of this.schema.tables) {
+            files[`${fileNames.get(table.id)}.md`] = `[← ${this.escapeMarkdownLinkText(this.schema.baseName)}](index.md)\n\n` +
+                this.generateMarkdownTableSection(table, context, 0);
+        }
+        return files;
+    }
+
+    // Shared state for Markdown exports: the field index and a link builder for table and field anchors
+    getMarkdownContext(fileNames) {
+        const fieldIndex = this.getFieldIndex();
+        const tableIds = new Set(this.schema.tables.map(t => t.id));
+        const href = (tableId, fieldId = null) => {
+            if (!tableIds.has(tableId)) return null;
+            const file = fileNames ? `${fileNames.get(tableId)}.md` : '';
+            return `${file}#${fieldId ? `field-${fieldId}` : `table-${tableId}`}`;
+        };
+        const fieldLink = (fieldId) => {
+            const entry = fieldIndex.get(fieldId);
+            return entry
+                ? `[${this.escapeMarkdownLinkText(`${entry.table.name}.${entry.field.name}`)}](${href(entry.table.id, fieldId)})`
+                : `\`${fieldId}\``;
+        };
+        return { fieldIndex, href, fieldLink, isSplit: Boolean(fileNames) };
+    }
+
+    // Title, generation time, partial analysis note and scope of a Markdown document
+    generateMarkdownHeader() {
+        let md = `# Airtable Base Schema: ${this.schema.baseName}\n\n`;
+        md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+        if (!this.schema.analysis.complete) {
+            md += `> **Partial analysis:** ${this.schema.analysis.pendingTableIds.length} tables were not scanned for records.\n\n`;
+        }
+        md += `Scope: ${this.describeScope()}\n\n`;
+        return md;
+    }
+
+    // Summary statistics, structure metrics and the list of tables
+    generateMarkdownOverview(context) {
+        const stats = this.schema.statistics;
+        const cell = (value) => this.escapeMarkdownCell(value);
+        const fieldCount = this.schema.tables.reduce((sum, table) => sum + table.fields.length, 0);
+        const computedCount = this.schema.tables.reduce((sum, table) => sum + table.fields.filter(f => f.isComputed).length, 0);
+        let md = '<a id="summary"></a>\n\n## Summary\n\n';
+        md += `- Tables: ${this.schema.tables.length}\n`;
+        md += `- Fields: ${fieldCount} (${computedCount} computed)\n`;
+        md += `- Views: ${this.schema.tables.reduce((sum, table) => sum + table.views.length, 0)}\n`;
+        md += `- Records: ${this.schema.tables.reduce((sum, table) => sum + (table.recordCount || 0), 0)}\n`;
+        md += `- Relationships: ${this.schema.relationships.length}\n\n`;
+        
+        if (stats.fieldCategoryDistribution) {
+            md += '| Category | Fields |\n';
+            md += '|----------|--------|\n';
+            const categories = Object.entries(stats.fieldCategoryDistribution).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+            for (const [category, count] of categories) {
+                md += `| ${category} | ${count} |\n`;
+            }
+            md += '\n';
+        }
+        
+        if (stats.structure) {
+            md += '<a id="structure"></a>\n\n## Structure\n\n';
+            md += this.generateStructureMarkdown(stats.structure) + '\n';
+        }
+        
+        md += '<a id="tables"></a>\n\n## Tables\n\n';
+        md += '| Table | Fields | Records | Description |\n';
+        md += '|-------|--------|---------|-------------|\n';
+        for (const table of this.schema.tables) {
+            const description = table.description && table.description !== 'No description' ? table.description : '-';
+            const records = table.recordsScanned ? table.recordCount : '-';
+            md += `| ${cell(`[${this.escapeMarkdownLinkText(table.name)}](${context.href(table.id)})`)} | ${table.fields.length} | ${records} | ${cell(description)} |\n`;
+        }
+        md += '\n';
+        return md;
+    }
+
+    // One table's documentation: details, fields with option details and cross-links, views, incoming links, profile and samples
+    generateMarkdownTableSection(table, context, depth) {
+        const heading = (level) => '#'.repeat(depth + level + 1);
+        const cell = (value) => this.escapeMarkdownCell(value);
+        let md = `<a id="table-${table.id}"></a>\n\n${heading(0)} ${table.name}\n\n`;
+        if (table.description && table.description !== 'No description') {
+            md += `> ${table.description.replace(/\r?\n/g, '\n> ')}\n\n`;
+        }
+        md += `- **ID:** \`${table.id}\`\n`;
+        if (table.primaryFieldId) {
+            md += `- **Primary field:** ${context.fieldLink(table.primaryFieldId)}\n`;
+        }
+        md += `- **Fields:** ${table.fields.length} (${table.fields.filter(f => f.isComputed).length} computed)\n`;
+        md += `- **Views:** ${table.views.length}\n`;
+        if (table.recordsScanned) {
+            md += `- **Records:** ${table.recordCount}\n`;
+        }
+        md += '\n';
+        
+        md += `${heading(1)} Fields\n\n`;
+        md += '| Field | Type | Description | Details |\n';
+        md += '|-------|------|-------------|---------|\n';
+        for (const field of table.fields) {
+            let name = `<a id="field-${field.id}"></a>**${field.name}**`;
+            name += field.id === table.primaryFieldId ? ' *(primary)*' : '';
+            name += CONFIG.SHOW_FIELD_IDS ? `<br>\`${field.id}\`` : '';
+            const type = `${field.type}${field.isComputed ? ' *(computed)*' : ''}`;
+            const details = this.getMarkdownFieldDetails(field, context).join('<br>');
+            md += `| ${cell(name)} | ${cell(type)} | ${cell(field.description || '-')} | ${cell(details || '-')} |\n`;
+        }
+        md += '\n';
+        
+        if (table.views.length > 0) {
+            md += `${heading(1)} Views\n\n`;
+            for (const view of table.views) {
+                md += `- **${view.name}** (${view.type})${CONFIG.SHOW_FIELD_IDS ? ` · \`${view.id}\`` : ''}\n`;
+            }
+            md += '\n';
+        }
+        
+        // Link fields in other tables that point here; a relationship is stored once per link pair, so check both ends
+        const incoming = [];
+        for (const rel of this.schema.relationships.filter(r => r.fromTableId !== r.toTableId)) {
+            if (rel.toTableId === table.id) {
+                incoming.push({ fieldId: rel.fromFieldId, cardinality: rel.cardinality });
+            } else if (rel.fromTableId === table.id && rel.toFieldId) {
+                const reversed = rel.cardinality === 'N:M' ? rel.cardinality : rel.cardinality.split(':').reverse().join(':');
+                incoming.push({ fieldId: rel.toFieldId, cardinality: reversed });
+            }
+        }
+        if (incoming.length > 0) {
+            md += `${heading(1)} Linked From\n\n`;
+            for (const link of incoming) {
+                md += `- ${context.fieldLink(link.fieldId)} (${link.cardinality})\n`;
+            }
+            md += '\n';
+        }
+        
+        if (table.fields.some(f => f.profile)) {
+            md += `${heading(1)} Data Profile\n\n`;
+            md += '| Field | Filled | Distinct | Min | Max | Avg Length | Top Values |\n';
+            md += '|-------|--------|----------|-----|-----|------------|------------|\n';
+            
+            for (const field of table.fields.filter(f => f.profile)) {
+                const profile = field.profile;
+                const topValues = profile.topValues.map(v => `${v.value} (${v.count})`).join(', ') || '-';
+                const values = [field.name, `${profile.fillRate}%`, profile.distinctCount, profile.min, profile.max, profile.averageLength, topValues]
+                    .map(value => cell(value === undefined ? '-' : value));
+                md += `| ${values.join(' | ')} |\n`;
+            }
+            
+            md += '\n';
+        }
+        
+        const samples = table.fields
+            .map(field => ({ field, values: this.getFieldSampleValues(table, field.id) }))
+            .filter(sample => sample.values.length > 0);
+        if (samples.length > 0) {
+            md += `${heading(1)} Sample Values\n\n`;
+            md += '| Field | Samples |\n';
+            md += '|-------|---------|\n';
+            
+            for (const { field, values } of samples) {
+                const redacted = field.isRedacted ? ' *(redacted)*' : '';
+                md += `| ${cell(field.name)}${redacted} | ${cell(values.join(' · '))} |\n`;
             }
-        } catch (error) {
-            console.error(`Error processing options for field ${field.name}:`, error);
+            
+            md += '\n';
         }
         
-        return options;
+        return md;
     }
 
-    // Analyze view
-    analyzeView(view) {
-        if (!view || !view.id || !view.name) {
-            throw new Error('View missing required properties');
+    // Describe a field's options for Markdown, one item per line, linking the tables and fields it refers to
+    getMarkdownFieldDetails(field, context) {
+        const options = field.options || {};
+        const labels = {
+            precision: 'Precision', symbol: 'Symbol', durationFormat: 'Duration format', dateFormat: 'Date format',
+            timeFormat: 'Time format', timeZone: 'Time zone', icon: 'Icon', color: 'Color', max: 'Max', isValid: 'Valid'
+        };
+        const items = [];
+        
+        if (field.type === 'multipleRecordLinks' && field.linkedTableId) {
+            const target = this.schema.tables.find(t => t.id === field.linkedTableId);
+            const targetText = target
+                ? `[${this.escapeMarkdownLinkText(target.name)}](${context.href(target.id)})`
+                : `\`${field.linkedTableId}\` (outside the analysis)`;
+            items.push(`Links to ${targetText}${field.prefersSingleRecordLink ? ' (single record)' : ''}`);
+            if (field.inverseLinkFieldId) {
+                items.push(`Inverse: ${context.fieldLink(field.inverseLinkFieldId)}`);
+            }
         }
         
-        return {
-            id: view.id,
-            name: view.name,
-            type: view.type || 'Unknown'
-        };
-    }
-
-    // Get field category
-    getFieldCategory(fieldType) {
-        for (const [category, types] of Object.entries(FIELD_TYPE_CATEGORIES)) {
-            if (types.includes(fieldType)) {
-                return category;
+        for (const [key, value] of Object.entries(options)) {
+            if (['linkedTableId', 'inverseLinkFieldId', 'prefersSingleRecordLink'].includes(key)) continue;
+            
+            if (key === 'choices' && Array.isArray(value)) {
+                items.push(`Choices: ${value.map(choice => choice.name).join(', ') || 'none'}`);
+            } else if (key === 'recordLinkFieldId' || key === 'fieldIdInLinkedTable') {
+                items.push(`${key === 'recordLinkFieldId' ? 'Via' : 'Source'}: ${context.fieldLink(value)}`);
+            } else if (key === 'referencedFieldIds' && Array.isArray(value)) {
+                items.push(`References: ${value.length > 0 ? value.map(context.fieldLink).join(', ') : 'all fields'}`);
+            } else if (key === 'result' && value && value.type) {
+                items.push(`Result: ${value.type}`);
+            } else if (value && typeof value === 'object' && (value.format || value.name)) {
+                items.push(`${labels[key] || key}: ${value.format || value.name}`);
+            } else {
+                items.push(`${labels[key] || key}: ${value !== null && typeof value === 'object' ? `\`${JSON.stringify(value)}\`` : value}`);
             }
         }
-        return 'OTHER';
+        
+        return items;
     }
 
-    // Analyze relationships between tables
-    analyzeRelationships() {
-        output.markdown('\n## 🔗 Analyzing Relationships...');
+    // Relationships between analyzed tables, and links that leave the analysis
+    generateMarkdownRelationships(context) {
+        if (this.schema.relationships.length === 0 && this.schema.externalLinks.length === 0) {
+            return '';
+        }
         
-        for (const table of this.schema.tables) {
-            for (const field of table.fields) {
-                if (field.type === 'multipleRecordLinks' && field.linkedTableId) {
-                    const linkedTable = this.schema.tables.find(t => t.id === field.linkedTableId);
-                    if (linkedTable) {
-                        this.schema.relationships.push({
-                            fromTable: table.name,
-                            fromTableId: table.id,
-                            fromField: field.name,
-                            fromFieldId: field.id,
-                            toTable: linkedTable.name,
-                            toTableId: linkedTable.id,
-                            type: 'linkedRecord',
-                            prefersSingleLink: field.prefersSingleRecordLink || false
-                        });
-                    }
-                }
+        const cell = (value) => this.escapeMarkdownCell(value);
+        let md = '<a id="relationships"></a>\n\n## Relationships\n\n';
+        if (this.schema.relationships.length > 0) {
+            md += '| From | To | Cardinality | Observed |\n';
+            md += '|------|----|-------------|----------|\n';
+            for (const rel of this.schema.relationships) {
+                const to = rel.toFieldId
+                    ? context.fieldLink(rel.toFieldId)
+                    : `[${this.escapeMarkdownLinkText(rel.toTable)}](${context.href(rel.toTableId)}) *(one-way)*`;
+                const observed = rel.inferredCardinality ? rel.inferredCardinality.cardinality : '-';
+                md += `| ${cell(context.fieldLink(rel.fromFieldId))} | ${cell(to)} | ${rel.cardinality} | ${observed} |\n`;
             }
+            md += '\n';
         }
         
-        output.markdown(`Found **${this.schema.relationships.length}** relationships`);
+        if (this.schema.externalLinks.length > 0) {
+            md += '### Links Outside the Analysis\n\n';
+            for (const link of this.schema.externalLinks) {
+                md += `- ${context.fieldLink(link.fieldId)} → ${this.formatExternalLinkTarget(link)}\n`;
+            }
+            md += '\n';
+        }
+        return md;
     }
 
-    // Calculate statistics
-    calculateStatistics() {
-        try {
-            const stats = this.schema.statistics;
-            
-            // Basic counts
-            stats.totalFields = this.schema.tables.reduce((sum, table) => sum + (table.fields ? table.fields.length : 0), 0);
-            stats.totalViews = this.schema.tables.reduce((sum, table) => sum + (table.views ? table.views.length : 0), 0);
-            stats.totalRecords = this.schema.tables.reduce((sum, table) => sum + (table.recordCount || 0), 0);
-            
-            // Field type distribution
-            stats.fieldTypeDistribution = {};
-            for (const table of this.schema.tables) {
-                if (table.fields) {
-                    for (const field of table.fields) {
-                        stats.fieldTypeDistribution[field.type] = (stats.fieldTypeDistribution[field.type] || 0) + 1;
-                    }
-                }
+    // Escape text for a Markdown table cell: pipes would end the cell and line breaks the row
+    escapeMarkdownCell(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/\|/g, '\\|')
+            .replace(/\r?\n/g, '<br>');
+    }
+
+    // Escape brackets so a name can be used as Markdown link text
+    escapeMarkdownLinkText(text) {
+        return String(text).replace(/([[\]])/g, '\\$1');
+    }
+
+    // Generate a self-contained HTML report (inline CSS/JS, no timestamps, so identical schemas give identical files)
+    generateHtmlExport() {
+        const schema = this.schema;
+        const stats = schema.statistics;
+        const fieldIndex = this.getFieldIndex();
+        const esc = (value) => this.escapeHtml(value);
+        const hasDescription = (description) => description && description !== 'No description';
+        
+        let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+        html += '<meta name="viewport" content="width=device-width, initial-scale=1">\n';
+        html += `<title>${esc(schema.baseName)} – Schema</title>\n`;
+        html += `<style>\n${HTML_REPORT_STYLE}\n</style>\n</head>\n<body>\n`;
+        
+        // Sidebar: search box and table of contents
+        html += '<nav id="sidebar">\n';
+        html += `<h2>${esc(schema.baseName)}</h2>\n`;
+        html += '<input id="search" type="search" placeholder="Search tables and fields…" autocomplete="off">\n';
+        html += '<ul>\n<li><a href="#summary">Summary</a></li>\n';
+        for (const table of schema.tables) {
+            html += `<li data-table="${esc(table.id)}"><a href="#table-${esc(table.id)}">${esc(table.name)}</a></li>\n`;
+        }
+        if (schema.relationships.length > 0 || schema.externalLinks.length > 0) {
+            html += '<li><a href="#relationships">Relationships</a></li>\n';
+        }
+        html += '</ul>\n</nav>\n<main>\n';
+        
+        // Summary statistics
+        html += `<h1>${esc(schema.baseName)}</h1>\n`;
+        html += '<section id="summary">\n<h2>Summary</h2>\n<div class="stats">\n';
+        const totals = [
+            ['Tables', schema.tables.length],
+            ['Fields', schema.tables.reduce((sum, t) => sum + t.fields.length, 0)],
+            ['Views', schema.tables.reduce((sum, t) => sum + t.views.length, 0)],
+            ['Records', schema.tables.reduce((sum, t) => sum + (t.recordCount || 0), 0)],
+            ['Relationships', schema.relationships.length]
+        ];
+        for (const [label, value] of totals) {
+            html += `<div class="stat"><span>${value.toLocaleString('en-US')}</span>${label}</div>\n`;
+        }
+        html += '</div>\n';
+        html += `<p class="meta">Scope: ${esc(this.describeScope())}</p>\n`;
+        
+        for (const [title, distribution] of [['Field types', stats.fieldTypeDistribution], ['Field categories', stats.fieldCategoryDistribution]]) {
+            if (!distribution || Object.keys(distribution).length === 0) continue;
+            const entries = Object.entries(distribution).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+            html += `<h3>${title}</h3>\n<table class="compact">\n<tr><th>Name</th><th>Fields</th></tr>\n`;
+            for (const [name, count] of entries) {
+                html += `<tr><td>${esc(name)}</td><td>${count}</td></tr>\n`;
+            }
+            html += '</table>\n';
+        }
+        
+        if (stats.structure) {
+            const structure = stats.structure;
+            html += '<h3>Structure</h3>\n';
+            html += `<p>Complexity score <strong>${structure.complexity.score}</strong> (${esc(structure.complexity.rating)}) · `;
+            html += `${structure.components.length} connected component${structure.components.length === 1 ? '' : 's'} · `;
+            html += `longest link path ${structure.longestPath.length > 0 ? esc(structure.longestPath.tables.join(' → ')) : 'none'}</p>\n`;
+            html += '<table class="compact">\n<tr><th>Table</th><th>Fan-in</th><th>Fan-out</th><th>Computed / raw</th></tr>\n';
+            for (const table of structure.tables) {
+                const marker = table.isHub ? ' <span class="badge">hub</span>' : (table.isIsolated ? ' <span class="badge">isolated</span>' : '');
+                html += `<tr><td><a href="#table-${esc(table.id)}">${esc(table.name)}</a>${marker}</td><td>${table.fanIn}</td><td>${table.fanOut}</td>`;
+                html += `<td>${table.computedFields} / ${table.rawFields}</td></tr>\n`;
+            }
+            html += '</table>\n';
+        }
+        html += '</section>\n';
+        
+        // One collapsible section per table
+        for (const table of schema.tables) {
+            html += `<details class="table" id="table-${esc(table.id)}" data-table="${esc(table.id)}" open>\n`;
+            html += `<summary><h2>${esc(table.name)}</h2><span class="meta">${table.fields.length} fields · ${(table.recordCount || 0).toLocaleString('en-US')} records</span></summary>\n`;
+            if (hasDescription(table.description)) {
+                html += `<p class="description">${esc(table.description)}</p>\n`;
             }
+            html += `<p class="meta">ID <code>${esc(table.id)}</code> · Primary field: ${esc(table.primaryFieldName)}</p>\n`;
             
-            // Field category distribution
-            stats.fieldCategoryDistribution = {};
-            for (const table of this.schema.tables) {
-                if (table.fields) {
-                    for (const field of table.fields) {
-                        stats.fieldCategoryDistribution[field.category] = 
-                            (stats.fieldCategoryDistribution[field.category] || 0) + 1;
-                    }
+            const hasSamples = (table.sampleRecords || []).some(record => record.values && Object.keys(record.values).length > 0);
+            html += `<table class="fields">\n<tr><th>Field</th><th>Type</th><th>Description</th><th>Options</th>${hasSamples ? '<th>Samples</th>' : ''}</tr>\n`;
+            for (const field of table.fields) {
+                const choiceNames = ((field.options && field.options.choices) || []).map(choice => choice.name);
+                const searchText = [table.name, field.name, field.type, field.description, ...choiceNames].join(' ').toLowerCase();
+                html += `<tr id="field-${esc(field.id)}" data-search="${esc(searchText)}">`;
+                html += `<td><strong>${esc(field.name)}</strong>${field.id === table.primaryFieldId ? ' <span class="badge">primary</span>' : ''}<br><code>${esc(field.id)}</code></td>`;
+                html += `<td>${esc(field.type)}${field.isComputed ? ' <span class="badge">computed</span>' : ''}<br><span class="meta">${esc(field.category)}</span></td>`;
+                html += `<td>${esc(field.description || '')}</td>`;
+                html += `<td>${this.getHtmlFieldOptions(field, fieldIndex)}</td>`;
+                if (hasSamples) {
+                    const samples = this.getFieldSampleValues(table, field.id).map(value => esc(value)).join('<br>');
+                    html += `<td>${samples}${field.isRedacted && samples ? '<br><span class="badge">redacted</span>' : ''}</td>`;
                 }
+                html += '</tr>\n';
             }
+            html += '</table>\n';
             
-            // Table size distribution
-            stats.tableSizes = this.schema.tables.map(t => ({
-                name: t.name,
-                recordCount: t.recordCount || 0,
-                fieldCount: t.fields ? t.fields.length : 0
-            })).sort((a, b) => b.recordCount - a.recordCount);
-        } catch (error) {
-            console.error('Error calculating statistics:', error);
-            this.schema.statistics.error = 'Could not calculate all statistics';
+            if (table.views.length > 0) {
+                html += `<p class="meta">Views: ${table.views.map(v => `${esc(v.name)} (${esc(v.type)})`).join(', ')}</p>\n`;
+            }
+            html += '</details>\n';
+        }
+        
+        // Relationships, including links that leave the analysis
+        if (schema.relationships.length > 0 || schema.externalLinks.length > 0) {
+            html += '<section id="relationships">\n<h2>Relationships</h2>\n<table>\n';
+            html += '<tr><th>From</th><th>To</th><th>Cardinality</th></tr>\n';
+            for (const rel of schema.relationships) {
+                const from = `<a href="#field-${esc(rel.fromFieldId)}">${esc(rel.fromTable)}.${esc(rel.fromField)}</a>`;
+                const to = rel.toFieldId
+                    ? `<a href="#field-${esc(rel.toFieldId)}">${esc(rel.toTable)}.${esc(rel.toField)}</a>`
+                    : `<a href="#table-${esc(rel.toTableId)}">${esc(rel.toTable)}</a>`;
+                html += `<tr><td>${from}</td><td>${to}</td><td>${esc(rel.cardinality)}</td></tr>\n`;
+            }
+            for (const link of schema.externalLinks) {
+                const from = `<a href="#field-${esc(link.fieldId)}">${esc(link.tableName)}.${esc(link.fieldName)}</a>`;
+                html += `<tr><td>${from}</td><td>${esc(this.formatExternalLinkTarget(link))}</td><td>-</td></tr>\n`;
+            }
+            html += '</table>\n</section>\n';
         }
+        
+        html += `</main>\n<script>\n${HTML_REPORT_SCRIPT}\n</script>\n</body>\n</html>\n`;
+        return html;
     }
 
-    // Display results
-    async displayResults() {
-        output.clear();
+    // Render a field's options as HTML, linking tables and fields it refers to
+    getHtmlFieldOptions(field, fieldIndex) {
+        const esc = (value) => this.escapeHtml(value);
+        const options = field.options || {};
+        const fieldLink = (fieldId) => {
+            const entry = fieldIndex.get(fieldId);
+            return entry
+                ? `<a href="#field-${esc(fieldId)}">${esc(entry.table.name)}.${esc(entry.field.name)}</a>`
+                : `<code>${esc(fieldId)}</code>`;
+        };
+        const items = [];
         
-        // Header
-        output.markdown(`# 📋 Airtable Schema Analysis Report`);
-        output.markdown(`**Base:** ${this.schema.baseName}`);
-        output.markdown(`**Generated:** ${new Date(this.schema.generatedAt).toLocaleString()}\n`);
+        if (field.type === 'multipleRecordLinks' && field.linkedTableId) {
+            const target = this.schema.tables.find(t => t.id === field.linkedTableId);
+            const targetHtml = target
+                ? `<a href="#table-${esc(target.id)}">${esc(target.name)}</a>`
+                : `<code>${esc(field.linkedTableId)}</code> (outside the analysis)`;
+            items.push(`Links to ${targetHtml}${field.prefersSingleRecordLink ? ' (single record)' : ''}`);
+        }
         
-        // Summary statistics
-        if (CONFIG.SHOW_STATISTICS) {
-            this.displayStatistics();
+        for (const [key, value] of Object.entries(options)) {
+            if (['linkedTableId', 'inverseLinkFieldId', 'prefersSingleRecordLink'].includes(key)) continue;
+            
+            if (key === 'choices' && Array.isArray(value)) {
+                const choices = value.map(choice => {
+                    const swatch = choice.color ? `<span class="swatch" style="background:${this.getChoiceColorHex(choice.color)}"></span>` : '';
+                    return `<span class="choice">${swatch}${esc(choice.name)}</span>`;
+                });
+                items.push(`Choices: ${choices.join(' ')}`);
+            } else if (key === 'recordLinkFieldId' || key === 'fieldIdInLinkedTable') {
+                items.push(`${key === 'recordLinkFieldId' ? 'Via' : 'Source'}: ${fieldLink(value)}`);
+            } else if (key === 'referencedFieldIds' && Array.isArray(value)) {
+                items.push(`References: ${value.length > 0 ? value.map(fieldLink).join(', ') : 'all fields'}`);
+            } else if (key === 'result' && value && value.type) {
+                items.push(`Result: ${esc(value.type)}`);
+            } else {
+                items.push(`${esc(key)}: <code>${esc(typeof value === 'string' ? value : JSON.stringify(value))}</code>`);
+            }
         }
         
-        // Interactive menu
-        const choice = await input.buttonsAsync(
-            'What would you like to view?',
-            [
-                { label: '📊 Tables Overview', value: 'tables' },
-                { label: '🔗 Relationships', value: 'relationships' },
-                { label: '📈 Detailed Statistics', value: 'stats' },
-                { label: '📝 Full Schema', value: 'full' },
-                { label: '💾 Export Data', value: 'export' }
-            ]
-        );
+        return items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '';
+    }
+
+    // Convert an Airtable choice color name (e.g. "blueLight2") to a hex color
+    getChoiceColorHex(color) {
+        const match = /^([a-z]+)(Light1|Light2|Bright|Dark1)?$/.exec(color || '');
+        const baseHex = match && AIRTABLE_COLOR_HEX[match[1]];
+        if (!baseHex) {
+            return '#e0e0e0';
+        }
         
-        switch (choice) {
-            case 'tables':
-                await this.displayTablesOverview();
-                break;
-            case 'relationships':
-                this.displayRelationships();
-                break;
-            case 'stats':
-                this.displayDetailedStatistics();
-                break;
-            case 'full':
-                await this.displayFullSchema();
-                break;
-            case 'export':
-                await this.exportSchema();
-                break;
+        // Light shades mix with white, dark shades with black
+        const mix = { Light2: ['#ffffff', 0.3], Light1: ['#ffffff', 0.6], Dark1: ['#000000', 0.7] }[match[2]];
+        if (!mix) {
+            return baseHex;
         }
+        const channel = (hex, i) => parseInt(hex.substr(1 + i * 2, 2), 16);
+        const [target, weight] = mix;
+        let result = '#';
+        for (let i = 0; i < 3; i++) {
+            const value = Math.round(channel(baseHex, i) * weight + channel(target, i) * (1 - weight));
+            result += value.toString(16).padStart(2, '0');
+        }
+        return result;
+    }
+
+    // Escape text for use in HTML content and attributes
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Generate field impact report (Markdown)
+    generateImpactReport() {
+        const dependencies = this.schema.dependencies;
+        let md = `# Field Impact Report: ${this.schema.baseName}\n\n`;
+        md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+        md += `Scope: ${this.describeScope()}\n\n`;
+        md += `- Dependencies: ${dependencies.edges.length}\n`;
+        md += `- Lookup chains deeper than ${CONFIG.MAX_LOOKUP_DEPTH}: ${dependencies.deepLookupChains.length}\n`;
+        md += `- Cycles: ${dependencies.cycles.length}\n\n`;
         
-        // Offer to continue exploring
-        const continueChoice = await input.buttonsAsync(
-            '\nWould you like to explore more?',
-            [
-                { label: '🔄 Back to Menu', value: 'menu' },
-                { label: '✅ Done', value: 'done' }
-            ]
-        );
+        if (dependencies.deepLookupChains.length > 0) {
+            md += '## Deep Lookup Chains\n\n';
+            for (const chain of dependencies.deepLookupChains) {
+                md += `- **${chain.tableName}.${chain.fieldName}** (depth ${chain.depth}): ${chain.chain.join(' → ')}\n`;
+            }
+            md += '\n';
+        }
         
-        if (continueChoice === 'menu') {
-            await this.displayResults();
+        if (dependencies.cycles.length > 0) {
+            md += '## Dependency Cycles\n\n';
+            for (const cycle of dependencies.cycles) {
+                md += `- ${cycle.join(' → ')}\n`;
+            }
+            md += '\n';
+        }
+        
+        md += '## Field Usage\n\n';
+        let usedFieldCount = 0;
+        const lookups = { reverse: this.getDependencyAdjacency('toFieldId', 'fromFieldId'), fieldIndex: this.getFieldIndex() };
+        for (const table of this.schema.tables) {
+            for (const field of table.fields) {
+                const dependents = this.getFieldDependents(field.id, lookups);
+                if (dependents.length === 0) continue;
+                usedFieldCount++;
+                
+                md += `### ${table.name}.${field.name}\n\n`;
+                md += '| Dependent Field | Type | Depth | Via |\n';
+                md += '|-----------------|------|-------|-----|\n';
+                for (const dependent of dependents) {
+                    md += `| ${dependent.tableName}.${dependent.fieldName} | ${dependent.type} | ${dependent.depth} | ${dependent.via} |\n`;
+                }
+                md += '\n';
+            }
+        }
+        
+        if (usedFieldCount === 0) {
+            md += '*No field dependencies found.*\n';
         }
+        
+        return md;
     }
 
-    // Display summary statistics
-    displayStatistics() {
-        const stats = this.schema.statistics;
+    // Generate audit report (Markdown)
+    generateAuditMarkdown(includeTitle = true) {
+        const audit = this.schema.audit;
+        const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+        const headings = { error: 'Errors', warning: 'Warnings', info: 'Info' };
+        let md = includeTitle ? `# Audit Report: ${this.schema.baseName}\n\nScope: ${this.describeScope()}\n\n` : '';
         
-        output.markdown('## 📊 Summary Statistics');
-        output.markdown(`- **Tables:** ${stats.totalTables || 0}`);
-        output.markdown(`- **Fields:** ${stats.totalFields || 0}`);
-        output.markdown(`- **Views:** ${stats.totalViews || 0}`);
-        output.markdown(`- **Records:** ${(stats.totalRecords || 0).toLocaleString()}`);
-        output.markdown(`- **Relationships:** ${this.schema.relationships.length}\n`);
+        md += LINT_SEVERITIES
+            .map(severity => `- ${icons[severity]} **${severity}:** ${audit.counts[severity] || 0}`)
+            .join('\n') + '\n\n';
+        
+        if (audit.findings.length === 0) {
+            md += '✅ *No findings for the enabled rules.*\n';
+            return md;
+        }
+        
+        for (const severity of LINT_SEVERITIES) {
+            const findings = audit.findings.filter(f => f.severity === severity);
+            if (findings.length === 0) continue;
+            
+            md += `## ${icons[severity]} ${headings[severity]}\n\n`;
+            for (const ruleId of Object.keys(LINT_RULE_DESCRIPTIONS)) {
+                const ruleFindings = findings.filter(f => f.ruleId === ruleId);
+                if (ruleFindings.length === 0) continue;
+                
+                md += `### ${LINT_RULE_DESCRIPTIONS[ruleId]} (\`${ruleId}\`)\n\n`;
+                for (const finding of ruleFindings) {
+                    const location = finding.location.fieldName
+                        ? `${finding.location.tableName}.${finding.location.fieldName}`
+                        : finding.location.tableName;
+                    md += `- **${location}**: ${finding.message}\n`;
+                }
+                md += '\n';
+            }
+        }
+        
+        return md;
     }
 
-    // Display tables overview
-    async displayTablesOverview() {
-        output.clear();
-        output.markdown('# 📊 Tables Overview\n');
+    // Generate a base-wide report of unused, orphaned and duplicate select choices with suggested cleanups
+    generateChoiceCleanupReport() {
+        let md = `# Choice Cleanup Report: ${this.schema.baseName}\n\n`;
+        md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+        md += `Scope: ${this.describeScope()}\n\n`;
         
+        const choiceFields = [];
         for (const table of this.schema.tables) {
-            output.markdown(`## ${table.name}`);
-            if (table.description && table.description !== 'No description') {
-                output.markdown(`*${table.description}*`);
+            for (const field of table.fields.filter(f => this.isChoiceField(f))) {
+                const unused = this.getUnusedChoices(field);
+                const orphans = field.choiceUsage ? field.choiceUsage.orphanValues : [];
+                const duplicates = this.findDuplicateChoices(field);
+                choiceFields.push({ table, field, unused, orphans, duplicates });
             }
+        }
+        
+        const counted = choiceFields.filter(entry => entry.field.choiceUsage);
+        md += `- Select fields: ${choiceFields.length} (usage counted for ${counted.length})\n`;
+        md += `- Unused choices: ${choiceFields.reduce((sum, entry) => sum + entry.unused.length, 0)}\n`;
+        md += `- Values matching no choice: ${choiceFields.reduce((sum, entry) => sum + entry.orphans.length, 0)}\n`;
+        md += `- Likely duplicate groups: ${choiceFields.reduce((sum, entry) => sum + entry.duplicates.length, 0)}\n\n`;
+        
+        if (counted.length < choiceFields.length) {
+            md += '> Usage was not counted for every select field (record scan off, table not scanned yet or `ANALYZE_CHOICE_USAGE` off); only duplicates are reported for those fields.\n\n';
+        }
+        md += '> Before deleting a choice, check automations, interfaces, view filters and formulas that compare against its name; they are not visible to this analysis.\n\n';
+        
+        const withIssues = choiceFields.filter(entry => entry.unused.length > 0 || entry.orphans.length > 0 || entry.duplicates.length > 0);
+        if (withIssues.length === 0) {
+            md += '✅ *No unused, orphaned or duplicate choices found.*\n';
+            return md;
+        }
+        
+        for (const { table, field, unused, orphans, duplicates } of withIssues) {
+            const usage = field.choiceUsage ? field.choiceUsage.counts : {};
+            md += `## ${table.name}.${field.name}\n\n`;
+            md += `*${field.type}, ${field.options.choices.length} choices${field.choiceUsage ? `, ${field.choiceUsage.recordsChecked} records checked` : ''}*\n\n`;
             
-            output.markdown(`- **Records:** ${table.recordCount.toLocaleString()}`);
-            output.markdown(`- **Fields:** ${table.fields.length}`);
-            output.markdown(`- **Views:** ${table.views.length}`);
-            output.markdown(`- **Primary Field:** ${table.primaryFieldName}`);
-            
-            // Field breakdown by category
-            const categoryCount = {};
-            for (const field of table.fields) {
-                categoryCount[field.category] = (categoryCount[field.category] || 0) + 1;
+            if (unused.length > 0) {
+                md += '**Unused choices**: safe to delete once nothing else refers to them\n\n';
+                md += unused.map(choice => `- "${choice.name}"`).join('\n') + '\n\n';
             }
-            
-            output.markdown('\n**Field Categories:**');
-            for (const [category, count] of Object.entries(categoryCount)) {
-                output.markdown(`- ${category}: ${count}`);
+            if (orphans.length > 0) {
+                md += '**Values matching no choice**: add them back as choices or clean up the records\n\n';
+                md += orphans.map(value => `- "${value.name}" (${value.count} record${value.count === 1 ? '' : 's'})`).join('\n') + '\n\n';
+            }
+            if (duplicates.length > 0) {
+                md += '**Likely duplicates**: merge into the first (most used) choice\n\n';
+                for (const group of duplicates) {
+                    const describe = (choice) => `"${choice.name}"${field.choiceUsage ? ` (${usage[choice.id] || 0})` : ''}`;
+                    md += `- ${describe(group[0])} ← ${group.slice(1).map(describe).join(', ')}\n`;
+                }
+                md += '\n';
             }
-            
-            output.markdown('---\n');
         }
         
-        // Option to view detailed table info
-        const tableNames = this.schema.tables.map(t => ({
-            label: t.name,
-            value: t.id
-        }));
-        tableNames.push({ label: '← Back', value: 'back' });
+        return md;
+    }
+
+    // Quote a value for CSV when it contains a comma, quote or line break (RFC 4180)
+    toCsvValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Join a header and rows into an RFC 4180 CSV file (CRLF line endings)
+    toCsvFile(header, rows) {
+        return [header, ...rows].map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Generate the CSV data dictionary: one file per entity, joined on the ID columns
+    generateCsvBundle() {
+        const scope = this.schema.scope && this.schema.scope.isLimited ? this.describeScope() : null;
+        const withScope = (header, rows) => scope
+            ? this.toCsvFile([...header, 'Scope'], rows.map(row => [...row, scope]))
+            : this.toCsvFile(header, rows);
+        const tableNames = new Map(this.schema.tables.map(table => [table.id, table.name]));
+        for (const link of this.schema.externalLinks || []) {
+            if (link.linkedTableName && !tableNames.has(link.linkedTableId)) {
+                tableNames.set(link.linkedTableId, link.linkedTableName);
+            }
+        }
+        const text = (value) => value === undefined || value === null ? '' : value;
+
+        const tableRows = this.schema.tables.map(table => [
+            table.id,
+            table.name,
+            table.description === 'No description' ? '' : table.description,
+            table.primaryFieldId || '',
+            table.primaryFieldId ? table.primaryFieldName : '',
+            table.fields.length,
+            table.views.length,
+            table.recordsScanned ? table.recordCount : '',
+            Boolean(table.recordsScanned)
+        ]);
+
+        // Profile and sample columns only appear when some field has them
+        const includeProfile = this.schema.tables.some(t => t.fields.some(f => f.profile));
+        const includeSamples = this.schema.tables.some(t => (t.sampleRecords || []).some(r => r.values && Object.keys(r.values).length > 0));
+        const fieldHeader = [
+            'Field ID', 'Table ID', 'Table', 'Field', 'Position', 'Type', 'Category', 'Computed', 'Primary', 'Supported Type', 'Redacted',
+            'Description', 'Linked Table ID', 'Linked Table', 'Inverse Field ID', 'Prefers Single Link', 'Link Field ID', 'Source Field ID',
+            'Referenced Field IDs', 'Result Type', 'Choice Count', 'Options'
+        ];
+        if (includeProfile) fieldHeader.push('Fill Rate', 'Distinct Values', 'Min', 'Max', 'Average Length', 'Top Values');
+        if (includeSamples) fieldHeader.push('Sample Values');
+        const fieldRows = [];
+        for (const table of this.schema.tables) {
+            table.fields.forEach((field, index) => {
+                const options = field.options || {};
+                const row = [
+                    field.id,
+                    table.id,
+                    table.name,
+                    field.name,
+                    index + 1,
+                    field.type,
+                    field.category,
+                    Boolean(field.isComputed),
+                    field.id === table.primaryFieldId,
+                    field.isSupportedType !== false,
+                    Boolean(field.isRedacted),
+                    field.description || '',
+                    field.linkedTableId || '',
+                    field.linkedTableId ? text(tableNames.get(field.linkedTableId)) : '',
+                    field.inverseLinkFieldId || '',
+                    field.type === 'multipleRecordLinks' ? Boolean(field.prefersSingleRecordLink) : '',
+                    options.recordLinkFieldId || '',
+                    options.fieldIdInLinkedTable || '',
+                    (options.referencedFieldIds || []).join(' '),
+                    options.result && options.result.type ? options.result.type : '',
+                    options.choices ? options.choices.length : '',
+                    JSON.stringify(options)
+                ];
+                if (includeProfile) {
+                    const profile = field.profile || {};
+                    row.push(text(profile.fillRate), text(profile.distinctCount), text(profile.min), text(profile.max), text(profile.averageLength),
+                        profile.topValues ? JSON.stringify(profile.topValues) : '');
+                }
+                if (includeSamples) {
+                    row.push(this.getFieldSampleValues(table, field.id).join(' · '));
+                }
+                fieldRows.push(row);
+            });
+        }
+
+        const choiceRows = [];
+        for (const table of this.schema.tables) {
+            for (const field of table.fields.filter(f => this.isChoiceField(f))) {
+                field.options.choices.forEach((choice, index) => {
+                    choiceRows.push([
+                        choice.id,
+                        field.id,
+                        table.id,
+                        table.name,
+                        field.name,
+                        index + 1,
+                        choice.name,
+                        choice.color || '',
+                        field.choiceUsage ? field.choiceUsage.counts[choice.id] || 0 : ''
+                    ]);
+                });
+            }
+        }
+
+        const viewRows = [];
+        for (const table of this.schema.tables) {
+            table.views.forEach((view, index) => {
+                viewRows.push([view.id, table.id, table.name, view.name, view.type, index + 1]);
+            });
+        }
+
+        // Links to tables outside the analysis follow the relationships, with their status
+        const relationshipRows = this.schema.relationships.map(rel => [
+            rel.fromFieldId,
+            rel.fromTableId,
+            rel.fromTable,
+            rel.fromField,
+            rel.toTableId,
+            rel.toTable,
+            rel.toFieldId || '',
+            rel.toField || '',
+            rel.cardinality,
+            rel.inferredCardinality ? rel.inferredCardinality.cardinality : '',
+            rel.isSelfReference,
+            rel.isOneWay,
+            'linked'
+        ]);
+        for (const link of this.schema.externalLinks || []) {
+            relationshipRows.push([
+                link.fieldId,
+                link.tableId,
+                link.tableName,
+                link.fieldName,
+                link.linkedTableId || '',
+                link.linkedTableName || '',
+                '', '', '', '', '', '',
+                link.reason
+            ]);
+        }
+
+        return {
+            'tables.csv': withScope(
+                ['Table ID', 'Table', 'Description', 'Primary Field ID', 'Primary Field', 'Fields', 'Views', 'Record Count', 'Records Scanned'],
+                tableRows
+            ),
+            'fields.csv': withScope(fieldHeader, fieldRows),
+            'choices.csv': withScope(
+                ['Choice ID', 'Field ID', 'Table ID', 'Table', 'Field', 'Position', 'Choice', 'Color', 'Records'],
+                choiceRows
+            ),
+            'views.csv': withScope(['View ID', 'Table ID', 'Table', 'View', 'Type', 'Position'], viewRows),
+            'relationships.csv': withScope(
+                ['Field ID', 'Table ID', 'Table', 'Field', 'Linked Table ID', 'Linked Table', 'Inverse Field ID', 'Inverse Field',
+                    'Cardinality', 'Inferred Cardinality', 'Self Reference', 'One Way', 'Status'],
+                relationshipRows
+            )
+        };
+    }
+
+    // Ask which tables and fields to include in a diagram export
+    async promptDiagramOptions() {
+        const detail = await input.buttonsAsync(
+            'Which fields should the diagram show?',
+            [
+                { label: 'Primary fields only', value: 'primary' },
+                { label: 'All fields with types', value: 'all' }
+            ]
+        );
         
-        const selectedTable = await input.buttonsAsync(
-            'Select a table for detailed field information:',
-            tableNames
+        const filterInput = await input.textAsync(
+            'Only include tables whose names contain (comma-separated, leave blank for all):'
         );
+        const filters = (filterInput || '')
+            .split(',')
+            .map(f => f.trim().toLowerCase())
+            .filter(f => f.length > 0);
         
-        if (selectedTable !== 'back') {
-            await this.displayTableDetails(selectedTable);
+        let includeNeighbors = false;
+        if (filters.length > 0) {
+            includeNeighbors = await input.buttonsAsync(
+                'Also include tables directly linked to the matching tables?',
+                [
+                    { label: 'Yes', value: true },
+                    { label: 'No', value: false }
+                ]
+            );
         }
+        
+        const groupByComponent = await input.buttonsAsync(
+            'Group tables by connected component?',
+            [
+                { label: 'Yes', value: true },
+                { label: 'No', value: false }
+            ]
+        );
+        
+        return { detail, filters, includeNeighbors, groupByComponent };
     }
 
-    // Display detailed table information
-    async displayTableDetails(tableId) {
-        const table = this.schema.tables.find(t => t.id === tableId);
-        if (!table) return;
-        
-        output.clear();
-        output.markdown(`# Table: ${table.name}\n`);
+    // Build a diagram-neutral model of tables, fields, link edges and groups
+    getDiagramModel(options = {}) {
+        const detail = options.detail || 'primary';
+        const filters = options.filters || [];
         
-        if (table.description && table.description !== 'No description') {
-            output.markdown(`*${table.description}*\n`);
-        }
+        // One edge per analyzed relationship, so diagrams show the same pairs and cardinality as the other exports
+        const allEdges = (this.schema.relationships || []).map(rel => {
+            const [fromSide, toSide] = rel.cardinality.split(':');
+            return {
+                fromTableId: rel.fromTableId,
+                toTableId: rel.toTableId,
+                label: rel.toFieldId && rel.toFieldId !== rel.fromFieldId ? `${rel.fromField} / ${rel.toField}` : rel.fromField,
+                // How many "to" records each "from" record links to, and vice versa
+                toMany: toSide !== '1',
+                fromMany: fromSide !== '1',
+                cardinality: rel.cardinality
+            };
+        });
         
-        if (table.fields && table.fields.length > 0) {
-            output.markdown('## Fields\n');
-            
-            for (const field of table.fields) {
-                output.markdown(`### ${field.name}`);
-                if (CONFIG.SHOW_FIELD_IDS) {
-                    output.markdown(`*ID: ${field.id}*`);
-                }
-                
-                output.markdown(`- **Type:** ${field.type} (${field.category})`);
-                
-                if (field.description) {
-                    output.markdown(`- **Description:** ${field.description}`);
-                }
-                
-                if (field.isComputed) {
-                    output.markdown(`- **Computed Field**`);
-                }
-                
-                // Display field options
-                if (field.options && Object.keys(field.options).length > 0) {
-                    output.markdown('- **Options:**');
-                    
-                    // Special handling for select fields
-                    if (field.options.choices) {
-                        output.markdown(`  - Choices (${field.options.choices.length}):`);
-                        for (const choice of field.options.choices.slice(0, 10)) {
-                            output.markdown(`    - ${choice.name} (${choice.color})`);
-                        }
-                        if (field.options.choices.length > 10) {
-                            output.markdown(`    - ... and ${field.options.choices.length - 10} more`);
-                        }
-                    } else {
-                        for (const [key, value] of Object.entries(field.options)) {
-                            output.markdown(`  - ${key}: ${JSON.stringify(value)}`);
-                        }
+        // Apply the table filter, optionally pulling in directly linked tables
+        let includedIds = new Set(this.schema.tables.map(t => t.id));
+        if (filters.length > 0) {
+            includedIds = new Set(this.schema.tables
+                .filter(t => filters.some(f => t.name.toLowerCase().includes(f)))
+                .map(t => t.id));
+            if (options.includeNeighbors) {
+                for (const edge of allEdges) {
+                    if (includedIds.has(edge.fromTableId) || includedIds.has(edge.toTableId)) {
+                        includedIds.add(edge.fromTableId);
+                        includedIds.add(edge.toTableId);
                     }
                 }
-                
-                output.markdown('');
             }
-        } else {
-            output.markdown('## Fields\n*No fields found in this table*\n');
         }
         
-        // Views
-        if (table.views && table.views.length > 0) {
-            output.markdown('## Views\n');
-            for (const view of table.views) {
-                output.markdown(`- **${view.name}** (${view.type})`);
+        const tables = this.schema.tables.filter(t => includedIds.has(t.id));
+        const tableKeys = this.buildIdentifierMap(tables.map(t => ({ id: t.id, name: t.name })));
+        
+        const model = {
+            tables: tables.map(table => {
+                const fields = detail === 'all'
+                    ? table.fields
+                    : table.fields.filter(f => f.id === table.primaryFieldId);
+                const fieldKeys = this.buildIdentifierMap(fields.map(f => ({ id: f.id, name: f.name })));
+                return {
+                    id: table.id,
+                    key: tableKeys.get(table.id),
+                    name: table.name,
+                    fields: fields.map(f => ({
+                        key: fieldKeys.get(f.id),
+                        name: f.name,
+                        type: f.type,
+                        isPrimary: f.id === table.primaryFieldId,
+                        isLink: f.type === 'multipleRecordLinks'
+                    }))
+                };
+            }),
+            edges: allEdges
+                .filter(e => includedIds.has(e.fromTableId) && includedIds.has(e.toTableId))
+                .map(e => ({
+                    ...e,
+                    fromKey: tableKeys.get(e.fromTableId),
+                    toKey: tableKeys.get(e.toTableId)
+                })),
+            groups: []
+        };
+        
+        if (options.groupByComponent) {
+            model.groups = this.getDiagramGroups(model);
+        }
+        
+        return model;
+    }
+
+    // Map IDs to unique, code-safe identifiers derived from names (first come, first served)
+    buildIdentifierMap(items, options = {}) {
+        const keys = new Map();
+        const used = new Set((options.reserved || []).map(r => r.toLowerCase()));
+        const maxLength = options.maxLength || Infinity;
+        for (const item of items) {
+            const name = options.lowercase ? item.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase() : item.name;
+            let base = name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'item';
+            if (/^[0-9]/.test(base)) {
+                base = `_${base}`;
             }
-        } else {
-            output.markdown('## Views\n*No views found in this table*');
+            base = base.substring(0, maxLength);
+            let key = base;
+            let suffix = 2;
+            while (used.has(key.toLowerCase())) {
+                const suffixText = `_${suffix++}`;
+                key = `${base.substring(0, maxLength - suffixText.length)}${suffixText}`;
+            }
+            used.add(key.toLowerCase());
+            keys.set(item.id, key);
         }
+        return keys;
     }
 
-    // Display relationships
-    displayRelationships() {
-        output.clear();
-        output.markdown('# 🔗 Table Relationships\n');
-        
-        if (this.schema.relationships.length === 0) {
-            output.markdown('*No linked record relationships found*');
-            return;
+    // Split diagram tables into connected components, largest first
+    getDiagramGroups(model) {
+        const neighbors = new Map(model.tables.map(t => [t.key, new Set()]));
+        for (const edge of model.edges) {
+            neighbors.get(edge.fromKey).add(edge.toKey);
+            neighbors.get(edge.toKey).add(edge.fromKey);
         }
         
-        // Group relationships by table
-        const relationshipsByTable = {};
-        for (const rel of this.schema.relationships) {
-            if (!relationshipsByTable[rel.fromTable]) {
-                relationshipsByTable[rel.fromTable] = [];
+        const groups = [];
+        const visited = new Set();
+        for (const table of model.tables) {
+            if (visited.has(table.key)) continue;
+            const members = [];
+            const queue = [table.key];
+            visited.add(table.key);
+            while (queue.length > 0) {
+                const key = queue.shift();
+                members.push(key);
+                for (const next of neighbors.get(key)) {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        queue.push(next);
+                    }
+                }
             }
-            relationshipsByTable[rel.fromTable].push(rel);
+            groups.push(members);
         }
         
-        for (const [tableName, relationships] of Object.entries(relationshipsByTable)) {
-            output.markdown(`## ${tableName}`);
-            
-            for (const rel of relationships) {
-                const linkType = rel.prefersSingleLink ? 'One-to-One/Many' : 'Many-to-Many';
-                output.markdown(`- **${rel.fromField}** → **${rel.toTable}** (${linkType})`);
+        return groups
+            .sort((a, b) => b.length - a.length)
+            .map((members, index) => ({ name: `Group ${index + 1}`, tableKeys: members }));
+    }
+
+    // Generate a Mermaid erDiagram (one fenced block per group when grouped)
+    generateMermaidDiagram(model) {
+        const quote = (text) => `"${String(text).replace(/"/g, "'")}"`;
+        const renderDiagram = (tables, edges) => {
+            let text = 'erDiagram\n';
+            for (const table of tables) {
+                text += `    ${table.key} {\n`;
+                for (const field of table.fields) {
+                    const keyMarker = field.isPrimary ? ' PK' : (field.isLink ? ' FK' : '');
+                    text += `        ${field.type} ${field.key}${keyMarker} ${quote(field.name)}\n`;
+                }
+                text += '    }\n';
             }
-            
-            output.markdown('');
+            for (const edge of edges) {
+                const fromEnd = edge.fromMany ? '}o' : '|o';
+                const toEnd = edge.toMany ? 'o{' : 'o|';
+                text += `    ${edge.fromKey} ${fromEnd}--${toEnd} ${edge.toKey} : ${quote(edge.label)}\n`;
+            }
+            return text;
+        };
+        
+        if (model.groups.length === 0) {
+            return this.getScopeComment('%%') + renderDiagram(model.tables, model.edges);
+        }
+        
+        let md = this.getScopeComment('>');
+        md += md ? '\n' : '';
+        for (const group of model.groups) {
+            const keys = new Set(group.tableKeys);
+            md += `## ${group.name}\n\n\`\`\`mermaid\n`;
+            md += renderDiagram(model.tables.filter(t => keys.has(t.key)), model.edges.filter(e => keys.has(e.fromKey)));
+            md += '\`\`\`\n\n';
         }
+        return md;
     }
 
-    // Display detailed statistics
-    displayDetailedStatistics() {
-        output.clear();
-        output.markdown('# 📈 Detailed Statistics\n');
+    // Generate a Graphviz DOT graph (one cluster per group when grouped)
+    generateDotDiagram(model) {
+        const escapeHtml = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const escapeString = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
         
-        const stats = this.schema.statistics;
+        const renderNode = (table, indent) => {
+            let label = `<TABLE BORDER="0" CELLBORDER="1" CELLSPACING="0" CELLPADDING="4">`;
+            label += `<TR><TD BGCOLOR="#18BFFF"><B>${escapeHtml(table.name)}</B></TD></TR>`;
+            for (const field of table.fields) {
+                const name = field.isPrimary ? `<U>${escapeHtml(field.name)}</U>` : escapeHtml(field.name);
+                label += `<TR><TD ALIGN="LEFT">${name} : ${escapeHtml(field.type)}</TD></TR>`;
+            }
+            label += '</TABLE>';
+            // Node IDs are quoted: unquoted IDs such as "Graph" or "Node" are DOT keywords
+            return `${indent}"${table.key}" [label=<${label}>];\n`;
+        };
         
-        if (stats.error) {
-            output.markdown(`⚠️ Note: ${stats.error}\n`);
-        }
+        let dot = this.getScopeComment('//');
+        dot += `digraph "${escapeString(this.schema.baseName)}" {\n`;
+        dot += '    graph [rankdir=LR, overlap=false, splines=true, fontname="Helvetica"];\n';
+        dot += '    node [shape=plain, fontname="Helvetica"];\n';
+        dot += '    edge [dir=both, fontname="Helvetica", fontsize=10];\n\n';
         
-        // Field type distribution
-        if (stats.fieldTypeDistribution && Object.keys(stats.fieldTypeDistribution).length > 0) {
-            output.markdown('## Field Type Distribution');
-            const sortedTypes = Object.entries(stats.fieldTypeDistribution)
-                .sort((a, b) => b[1] - a[1]);
-            
-            for (const [type, count] of sortedTypes) {
-                const percentage = stats.totalFields > 0 ? ((count / stats.totalFields) * 100).toFixed(1) : '0';
-                output.markdown(`- **${type}**: ${count} (${percentage}%)`);
+        if (model.groups.length === 0) {
+            for (const table of model.tables) {
+                dot += renderNode(table, '    ');
             }
+        } else {
+            model.groups.forEach((group, index) => {
+                const keys = new Set(group.tableKeys);
+                dot += `    subgraph cluster_${index + 1} {\n`;
+                dot += `        label="${escapeString(group.name)}";\n`;
+                dot += '        style=dashed;\n';
+                for (const table of model.tables.filter(t => keys.has(t.key))) {
+                    dot += renderNode(table, '        ');
+                }
+                dot += '    }\n';
+            });
         }
         
-        // Field category distribution
-        if (stats.fieldCategoryDistribution && Object.keys(stats.fieldCategoryDistribution).length > 0) {
-            output.markdown('\n## Field Category Distribution');
-            const sortedCategories = Object.entries(stats.fieldCategoryDistribution)
-                .sort((a, b) => b[1] - a[1]);
-            
-            for (const [category, count] of sortedCategories) {
-                const percentage = stats.totalFields > 0 ? ((count / stats.totalFields) * 100).toFixed(1) : '0';
-                output.markdown(`- **${category}**: ${count} (${percentage}%)`);
-            }
+        dot += '\n';
+        for (const edge of model.edges) {
+            const tail = edge.fromMany ? 'crowodot' : 'teeodot';
+            const head = edge.toMany ? 'crowodot' : 'teeodot';
+            dot += `    "${edge.fromKey}" -> "${edge.toKey}" [arrowtail=${tail}, arrowhead=${head}, label="${escapeString(`${edge.label} (${edge.cardinality})`)}"];\n`;
         }
+        dot += '}\n';
         
-        // Table sizes
-        if (stats.tableSizes && stats.tableSizes.length > 0) {
-            output.markdown('\n## Table Sizes');
-            output.markdown('| Table | Records | Fields |');
-            output.markdown('|-------|---------|--------|');
-            for (const table of stats.tableSizes) {
-                output.markdown(`| ${table.name} | ${table.recordCount.toLocaleString()} | ${table.fieldCount} |`);
+        return dot;
+    }
+
+    // Generate a PlantUML class diagram (one package per group when grouped)
+    generatePlantUmlDiagram(model) {
+        const quote = (text) => `"${String(text).replace(/"/g, "'")}"`;
+        const renderClass = (table, indent) => {
+            let text = `${indent}class ${quote(table.name)} as ${table.key} {\n`;
+            for (const field of table.fields) {
+                const marker = field.isPrimary ? ' <<PK>>' : (field.isLink ? ' <<FK>>' : '');
+                text += `${indent}    +${field.name.replace(/[{}]/g, '')} : ${field.type}${marker}\n`;
+            }
+            text += `${indent}}\n`;
+            return text;
+        };
+        
+        let uml = '@startuml\n';
+        uml += `title ${this.schema.baseName.replace(/\n/g, ' ')}\n`;
+        uml += this.getScopeComment("'");
+        uml += 'hide circle\n';
+        uml += 'hide methods\n';
+        uml += 'skinparam linetype ortho\n\n';
+        
+        if (model.groups.length === 0) {
+            for (const table of model.tables) {
+                uml += renderClass(table, '');
+            }
+        } else {
+            for (const group of model.groups) {
+                const keys = new Set(group.tableKeys);
+                uml += `package ${quote(group.name)} {\n`;
+                for (const table of model.tables.filter(t => keys.has(t.key))) {
+                    uml += renderClass(table, '    ');
+                }
+                uml += '}\n';
             }
         }
+        
+        uml += '\n';
+        for (const edge of model.edges) {
+            const fromMultiplicity = edge.fromMany ? '*' : '0..1';
+            const toMultiplicity = edge.toMany ? '*' : '0..1';
+            uml += `${edge.fromKey} "${fromMultiplicity}" -- "${toMultiplicity}" ${edge.toKey} : ${edge.label.replace(/[:\n]/g, ' ')}\n`;
+        }
+        uml += '@enduml\n';
+        
+        return uml;
     }
 
-    // Display full schema
-    async displayFullSchema() {
-        output.clear();
-        output.markdown('# 📝 Full Schema Export\n');
+    // Generate TypeScript interfaces (one per table) and a table name -> ID map
+    generateTypeScriptExport(options = {}) {
+        const keyBy = options.keyBy || 'name';
+        const isIdentifier = (name) => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+        const propertyKey = (name) => isIdentifier(name) ? name : JSON.stringify(name);
+        const comment = (text) => String(text).replace(/\*\//g, '*\\/').replace(/\n/g, ' ');
+        const interfaceNames = this.buildIdentifierMap(this.schema.tables.map(t => ({
+            id: t.id,
+            name: t.name.replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, separator, letter) => letter.toUpperCase())
+        })));
         
-        const formattedSchema = JSON.stringify(this.schema, null, 2);
+        let ts = `// Airtable types for base "${comment(this.schema.baseName)}" (${this.schema.baseId})\n`;
+        ts += `// Generated by Airtable Schema Analyzer on ${this.schema.generatedAt}\n`;
+        ts += this.getScopeComment('//') + '\n';
+        ts += 'export interface AirtableAttachment {\n';
+        ts += '    id: string;\n    url: string;\n    filename: string;\n    size?: number;\n    type?: string;\n';
+        ts += '    width?: number;\n    height?: number;\n    thumbnails?: Record<string, { url: string; width: number; height: number }>;\n}\n\n';
+        ts += 'export interface AirtableCollaborator {\n    id: string;\n    email?: string;\n    name?: string;\n}\n\n';
+        ts += 'export interface AirtableBarcode {\n    text: string;\n    type?: string;\n}\n\n';
+        ts += 'export interface AirtableButton {\n    label: string;\n    url: string | null;\n}\n\n';
+        ts += 'export interface AirtableAiText {\n    state: \'empty\' | \'loading\' | \'generated\' | \'error\';\n    value: string | null;\n    isStale: boolean;\n}\n\n';
         
-        output.markdown('```json');
-        output.text(formattedSchema.substring(0, 10000));
-        if (formattedSchema.length > 10000) {
-            output.text('\n... (truncated - use export function for full schema)');
+        for (const table of this.schema.tables) {
+            ts += `/** ${comment(table.name)} (${table.id})`;
+            if (table.description && table.description !== 'No description') {
+                ts += ` - ${comment(table.description)}`;
+            }
+            ts += ' */\n';
+            ts += `export interface ${interfaceNames.get(table.id)} {\n`;
+            
+            for (const field of table.fields) {
+                const docParts = [keyBy === 'id' ? field.name : field.id, field.type];
+                if (field.description) {
+                    docParts.push(field.description);
+                }
+                ts += `    /** ${comment(docParts.join(' - '))} */\n`;
+                
+                const key = propertyKey(keyBy === 'id' ? field.id : field.name);
+                const readonly = field.isComputed ? 'readonly ' : '';
+                ts += `    ${readonly}${key}?: ${this.getTypeScriptType(field.type, field.options || {})};\n`;
+            }
+            
+            ts += '}\n\n';
         }
-        output.markdown('```');
+        
+        ts += 'export const TABLE_IDS = {\n';
+        for (const table of this.schema.tables) {
+            ts += `    ${propertyKey(table.name)}: '${table.id}',\n`;
+        }
+        ts += '} as const;\n\n';
+        ts += 'export type TableName = keyof typeof TABLE_IDS;\n';
+        
+        return ts;
     }
 
-    // Export schema
-    async exportSchema() {
-        output.clear();
-        output.markdown('# 💾 Export Schema\n');
+    // Map an Airtable field type (and its options) to a TypeScript type
+    getTypeScriptType(type, options) {
+        const choiceUnion = () => {
+            const choices = options.choices || [];
+            return choices.length > 0 ? choices.map(c => JSON.stringify(c.name)).join(' | ') : 'string';
+        };
         
-        const format = await input.buttonsAsync(
-            'Select export format:',
-            [
-                { label: '📄 JSON', value: 'json' },
-                { label: '📝 Markdown', value: 'markdown' },
-                { label: '📊 CSV', value: 'csv' }
-            ]
-        );
+        switch (type) {
+            case 'singleLineText':
+            case 'multilineText':
+            case 'richText':
+            case 'email':
+            case 'url':
+            case 'phoneNumber':
+            case 'date':
+            case 'dateTime':
+            case 'createdTime':
+            case 'lastModifiedTime':
+            case 'externalSyncSource':
+                return 'string';
+            case 'number':
+            case 'percent':
+            case 'currency':
+            case 'rating':
+            case 'duration':
+            case 'autoNumber':
+            case 'count':
+                return 'number';
+            case 'checkbox':
+                return 'boolean';
+            case 'singleSelect':
+                return choiceUnion();
+            case 'multipleSelects':
+                return `Array<${choiceUnion()}>`;
+            case 'multipleRecordLinks':
+                return 'string[]';
+            case 'multipleAttachments':
+                return 'AirtableAttachment[]';
+            case 'singleCollaborator':
+            case 'createdBy':
+            case 'lastModifiedBy':
+                return 'AirtableCollaborator';
+            case 'multipleCollaborators':
+                return 'AirtableCollaborator[]';
+            case 'barcode':
+                return 'AirtableBarcode';
+            case 'button':
+                return 'AirtableButton';
+            case 'aiText':
+                return 'AirtableAiText';
+            case 'formula':
+            case 'rollup':
+                return options.result && options.result.type
+                    ? this.getTypeScriptType(options.result.type, options.result.options || {})
+                    : 'unknown';
+            case 'lookup':
+            case 'multipleLookupValues':
+                return options.result && options.result.type
+                    ? `Array<${this.getTypeScriptType(options.result.type, options.result.options || {})}>`
+                    : 'unknown[]';
+            default:
+                return 'unknown';
+        }
+    }
+
+    // Generate JSON Schema (draft 2020-12) documents for record validation
+    generateJsonSchemaExport(options = {}) {
+        if (options.layout === 'perTable') {
+            throw new Error('The perTable JSON Schema layout is written as one file per table; use generateExportBundle()');
+        }
         
-        let exportData = '';
+        const definitionNames = this.buildIdentifierMap(this.schema.tables.map(t => ({ id: t.id, name: t.name })));
+        const bundle = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: `urn:airtable:${this.schema.baseId}`,
+            title: this.schema.baseName,
+            ...(this.schema.scope && this.schema.scope.isLimited ? { $comment: `Scope: ${this.describeScope()}` } : {}),
+            $defs: {}
+        };
+        for (const table of this.schema.tables) {
+            bundle.$defs[definitionNames.get(table.id)] = this.getTableJsonSchema(table);
+        }
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    // Generate one JSON Schema document per table, as file name → content
+    generateJsonSchemaFiles() {
+        const definitionNames = this.buildIdentifierMap(this.schema.tables.map(t => ({ id: t.id, name: t.name })));
+        const files = {};
+        for (const table of this.schema.tables) {
+            const document = {
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                $id: `urn:airtable:${this.schema.baseId}:${table.id}`,
+                ...(this.schema.scope && this.schema.scope.isLimited ? { $comment: `Scope: ${this.describeScope()}` } : {}),
+                ...this.getTableJsonSchema(table)
+            };
+            files[`${definitionNames.get(table.id)}.schema.json`] = `${JSON.stringify(document, null, 2)}\n`;
+        }
+        return files;
+    }
+
+    // Build the JSON Schema for the records of one table (keyed by field name)
+    getTableJsonSchema(table) {
+        const tableSchema = {
+            title: table.name,
+            $comment: `Airtable table ${table.id}`,
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        };
+        if (table.description && table.description !== 'No description') {
+            tableSchema.description = table.description;
+        }
         
-        switch (format) {
-            case 'json':
-                exportData = JSON.stringify(this.schema, null, 2);
-                break;
-            case 'markdown':
-                exportData = this.generateMarkdownExport();
-                break;
-            case 'csv':
-                exportData = this.generateCSVExport();
-                break;
+        for (const field of table.fields) {
+            const property = {
+                title: field.name,
+                $comment: `${field.id} (${field.type})`,
+                ...this.getJsonSchemaForField(field.type, field.options || {}, field)
+            };
+            if (field.description) {
+                property.description = field.description;
+            }
+            if (field.isComputed) {
+                property.readOnly = true;
+            }
+            tableSchema.properties[field.name] = property;
         }
         
-        output.markdown(`## Export Generated (${format.toUpperCase()})\n`);
-        output.markdown('Copy the data below:\n');
-        output.markdown('```');
-        output.text(exportData.substring(0, 50000));
-        if (exportData.length > 50000) {
-            output.text('\n... (truncated)');
+        return tableSchema;
+    }
+
+    // Map an Airtable field type (and its options) to a JSON Schema fragment
+    getJsonSchemaForField(type, options, field = {}) {
+        const recordId = { type: 'string', pattern: '^rec[A-Za-z0-9]{14}$' };
+        const choiceNames = (options.choices || []).map(c => c.name);
+        // Percent values are stored as fractions, so they carry two more decimals than the displayed precision
+        const numberWithPrecision = (extraDigits = 0) => options.precision === undefined
+            ? { type: 'number' }
+            : (options.precision + extraDigits === 0
+                ? { type: 'integer' }
+                : { type: 'number', multipleOf: Number(`1e-${options.precision + extraDigits}`) });
+        
+        switch (type) {
+            case 'singleLineText':
+            case 'multilineText':
+            case 'richText':
+            case 'phoneNumber':
+            case 'externalSyncSource':
+                return { type: 'string' };
+            case 'email':
+                return { type: 'string', format: 'email' };
+            case 'url':
+                return { type: 'string', format: 'uri' };
+            case 'date':
+                return { type: 'string', format: 'date' };
+            case 'dateTime':
+            case 'createdTime':
+            case 'lastModifiedTime':
+                return { type: 'string', format: 'date-time' };
+            case 'number':
+                return numberWithPrecision();
+            case 'percent':
+                return {
+                    ...numberWithPrecision(2),
+                    'x-airtable-unit': 'fraction',
+                    $comment: 'Fraction of 1 (0.5 is 50%); Airtable allows negative values and values above 100%, so no range is set'
+                };
+            case 'currency':
+                return { ...numberWithPrecision(), ...(options.symbol ? { 'x-airtable-currency-symbol': options.symbol } : {}) };
+            case 'rating':
+                return { type: 'integer', minimum: 1, maximum: options.max || 5 };
+            case 'duration':
+                return { type: 'number', minimum: 0, 'x-airtable-unit': 'seconds' };
+            case 'autoNumber':
+                return { type: 'integer', minimum: 1 };
+            case 'count':
+                return { type: 'integer', minimum: 0 };
+            case 'checkbox':
+                return { type: 'boolean' };
+            case 'singleSelect':
+                return choiceNames.length > 0 ? { type: 'string', enum: choiceNames } : { type: 'string' };
+            case 'multipleSelects':
+                return {
+                    type: 'array',
+                    items: choiceNames.length > 0 ? { type: 'string', enum: choiceNames } : { type: 'string' },
+                    uniqueItems: true
+                };
+            case 'multipleRecordLinks':
+                return {
+                    type: 'array',
+                    items: recordId,
+                    ...(field.prefersSingleRecordLink ? { maxItems: 1 } : {})
+                };
+            case 'multipleAttachments':
+                return {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            url: { type: 'string', format: 'uri' },
+                            filename: { type: 'string' },
+                            size: { type: 'integer', minimum: 0 },
+                            type: { type: 'string' }
+                        },
+                        required: ['url']
+                    }
+                };
+            case 'singleCollaborator':
+            case 'createdBy':
+            case 'lastModifiedBy':
+                return this.getCollaboratorJsonSchema();
+            case 'multipleCollaborators':
+                return { type: 'array', items: this.getCollaboratorJsonSchema() };
+            case 'barcode':
+                return {
+                    type: 'object',
+                    properties: { text: { type: 'string' }, type: { type: 'string' } },
+                    required: ['text']
+                };
+            case 'button':
+                return {
+                    type: 'object',
+                    properties: { label: { type: 'string' }, url: { type: ['string', 'null'], format: 'uri' } }
+                };
+            case 'aiText':
+                return {
+                    type: 'object',
+                    properties: {
+                        state: { enum: ['empty', 'loading', 'generated', 'error'] },
+                        value: { type: ['string', 'null'] },
+                        isStale: { type: 'boolean' }
+                    }
+                };
+            case 'formula':
+            case 'rollup':
+                return options.result && options.result.type
+                    ? this.getJsonSchemaForField(options.result.type, options.result.options || {})
+                    : {};
+            case 'lookup':
+            case 'multipleLookupValues':
+                return {
+                    type: 'array',
+                    items: options.result && options.result.type
+                        ? this.getJsonSchemaForField(options.result.type, options.result.options || {})
+                        : {}
+                };
+            default:
+                return {};
         }
-        output.markdown('```');
     }
 
-    // Generate Markdown export
-    generateMarkdownExport() {
-        let md = `# Airtable Base Schema: ${this.schema.baseName}\n\n`;
-        md += `Generated: ${new Date(this.schema.generatedAt).toLocaleString()}\n\n`;
+    // Generate SQL DDL (PostgreSQL or SQLite) for migrating the base structure
+    generateSqlExport(options = {}) {
+        const dialect = options.dialect || 'postgresql';
+        const isPostgres = dialect === 'postgresql';
+        const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+        const literal = (text) => `'${String(text).replace(/'/g, "''")}'`;
+        const maxLength = isPostgres ? 63 : Infinity;
+        const tablesById = new Map(this.schema.tables.map(t => [t.id, t]));
+        const externalLinks = new Map((this.schema.externalLinks || []).map(link => [link.fieldId, link]));
         
-        // Summary
-        md += '## Summary\n\n';
-        md += `- Tables: ${this.schema.statistics.totalTables}\n`;
-        md += `- Fields: ${this.schema.statistics.totalFields}\n`;
-        md += `- Records: ${this.schema.statistics.totalRecords}\n\n`;
+        // Table names are assigned first, then junction tables, so names are stable between runs
+        const tableNames = this.buildIdentifierMap(
+            this.schema.tables.map(t => ({ id: t.id, name: t.name })),
+            { lowercase: true, maxLength }
+        );
+        const columnNames = new Map();
+        for (const table of this.schema.tables) {
+            columnNames.set(table.id, this.buildIdentifierMap(
+                table.fields.map(f => ({ id: f.id, name: f.name })),
+                { lowercase: true, maxLength, reserved: ['id'] }
+            ));
+        }
         
-        // Tables
-        md += '## Tables\n\n';
+        // Decide how each link is stored: a foreign key column or a junction table
+        const foreignKeys = new Map(); // field ID -> target table ID
+        const junctions = [];
+        const handledLinks = new Set();
         for (const table of this.schema.tables) {
-            md += `### ${table.name}\n\n`;
-            if (table.description && table.description !== 'No description') {
-                md += `> ${table.description}\n\n`;
+            for (const field of table.fields) {
+                if (field.type !== 'multipleRecordLinks' || handledLinks.has(field.id)) continue;
+                const target = tablesById.get(field.linkedTableId);
+                if (!target) continue;
+                
+                const inverse = field.inverseLinkFieldId
+                    ? target.fields.find(f => f.id === field.inverseLinkFieldId)
+                    : null;
+                handledLinks.add(field.id);
+                if (inverse) {
+                    handledLinks.add(inverse.id);
+                }
+                
+                if (field.prefersSingleRecordLink) {
+                    foreignKeys.set(field.id, target.id);
+                } else if (inverse && inverse.prefersSingleRecordLink) {
+                    foreignKeys.set(inverse.id, table.id);
+                } else {
+                    junctions.push({ table, field, target, inverse });
+                }
+            }
+        }
+        
+        const usedTableNames = [...tableNames.values()];
+        const junctionNames = this.buildIdentifierMap(
+            junctions.map(j => ({ id: j.field.id, name: `${tableNames.get(j.table.id)}_${columnNames.get(j.table.id).get(j.field.id)}` })),
+            { lowercase: true, maxLength, reserved: usedTableNames }
+        );
+        
+        let sql = `-- SQL schema for Airtable base "${this.schema.baseName.replace(/\n/g, ' ')}" (${this.schema.baseId})\n`;
+        sql += `-- Dialect: ${isPostgres ? 'PostgreSQL' : 'SQLite'}\n`;
+        sql += `-- Generated by Airtable Schema Analyzer on ${this.schema.generatedAt}\n`;
+        sql += this.getScopeComment('--') + '\n';
+        sql += isPostgres ? 'BEGIN;\n\n' : 'PRAGMA foreign_keys = ON;\n\n';
+        
+        const alterStatements = [];
+        
+        for (const table of this.schema.tables) {
+            const tableName = tableNames.get(table.id);
+            const columns = columnNames.get(table.id);
+            const lines = [`    ${quote('id')} TEXT PRIMARY KEY`];
+            const placeholders = [];
+            
+            for (const field of table.fields) {
+                const columnName = columns.get(field.id);
+                
+                if (field.type === 'multipleRecordLinks') {
+                    const targetId = foreignKeys.get(field.id);
+                    if (!targetId) {
+                        // Links leaving the analysis name their target and status, as in the relationships
+                        const externalLink = externalLinks.get(field.id);
+                        const target = tablesById.has(field.linkedTableId)
+                            ? `${tablesById.get(field.linkedTableId).name} (stored in a junction table or on the inverse side)`
+                            : `${externalLink ? this.formatExternalLinkTarget(externalLink) : 'a table outside this base'}; not exported`;
+                        placeholders.push(`    -- ${quote(columnName)}: link to ${target}`);
+                        continue;
+                    }
+                    const reference = `REFERENCES ${quote(tableNames.get(targetId))} (${quote('id')})`;
+                    if (isPostgres) {
+                        lines.push(`    ${quote(columnName)} TEXT`);
+                        alterStatements.push(`ALTER TABLE ${quote(tableName)} ADD FOREIGN KEY (${quote(columnName)}) ${reference} ON DELETE SET NULL;`);
+                    } else {
+                        lines.push(`    ${quote(columnName)} TEXT ${reference} ON DELETE SET NULL`);
+                    }
+                    continue;
+                }
+                
+                const column = this.getSqlColumn(field, dialect);
+                if (!column) {
+                    continue;
+                }
+                if (column.placeholder) {
+                    placeholders.push(`    -- ${quote(columnName)} ${column.type} -- ${column.placeholder}`);
+                    continue;
+                }
+                
+                let line = `    ${quote(columnName)} ${column.type}`;
+                if (column.default !== undefined) {
+                    line += ` NOT NULL DEFAULT ${column.default}`;
+                }
+                if (column.choices && column.choices.length > 0) {
+                    line += ` CHECK (${quote(columnName)} IN (${column.choices.map(literal).join(', ')}))`;
+                }
+                if (column.check) {
+                    line += ` CHECK (${column.check(quote(columnName))})`;
+                }
+                lines.push(line);
             }
             
-            md += '#### Fields\n\n';
-            md += '| Field | Type | Category | Description |\n';
-            md += '|-------|------|----------|-------------|\n';
-            
-            for (const field of table.fields) {
-                md += `| ${field.name} | ${field.type} | ${field.category} | ${field.description || '-'} |\n`;
+            sql += `-- ${table.name.replace(/\n/g, ' ')} (${table.id})\n`;
+            sql += `CREATE TABLE ${quote(tableName)} (\n${lines.join(',\n')}`;
+            if (placeholders.length > 0) {
+                sql += `\n${placeholders.join('\n')}`;
             }
-            
-            md += '\n';
+            sql += '\n);\n\n';
         }
         
-        // Relationships
-        if (this.schema.relationships.length > 0) {
-            md += '## Relationships\n\n';
-            md += '| From Table | From Field | To Table | Type |\n';
-            md += '|------------|------------|----------|------|\n';
+        for (const junction of junctions) {
+            const junctionName = junctionNames.get(junction.field.id);
+            const fromTable = tableNames.get(junction.table.id);
+            const toTable = tableNames.get(junction.target.id);
+            // Column names keep the "_id" suffix within the identifier limit; truncated names that collide fall back to source/target
+            const idColumn = (name) => `${name.substring(0, maxLength - 3)}_id`;
+            const useSourceTarget = junction.table.id === junction.target.id || idColumn(fromTable) === idColumn(toTable);
+            const fromColumn = useSourceTarget ? 'source_id' : idColumn(fromTable);
+            const toColumn = useSourceTarget ? 'target_id' : idColumn(toTable);
+            const label = junction.inverse ? `${junction.field.name} / ${junction.inverse.name}` : junction.field.name;
             
-            for (const rel of this.schema.relationships) {
-                const type = rel.prefersSingleLink ? 'One-to-One/Many' : 'Many-to-Many';
-                md += `| ${rel.fromTable} | ${rel.fromField} | ${rel.toTable} | ${type} |\n`;
-            }
+            sql += `-- Many-to-many: ${junction.table.name}.${label.replace(/\n/g, ' ')} -> ${junction.target.name}\n`;
+            sql += `CREATE TABLE ${quote(junctionName)} (\n`;
+            sql += `    ${quote(fromColumn)} TEXT NOT NULL REFERENCES ${quote(fromTable)} (${quote('id')}) ON DELETE CASCADE,\n`;
+            sql += `    ${quote(toColumn)} TEXT NOT NULL REFERENCES ${quote(toTable)} (${quote('id')}) ON DELETE CASCADE,\n`;
+            sql += `    PRIMARY KEY (${quote(fromColumn)}, ${quote(toColumn)})\n`;
+            sql += ');\n\n';
         }
         
-        return md;
+        if (alterStatements.length > 0) {
+            sql += '-- Foreign keys for single-record links\n';
+            sql += alterStatements.join('\n') + '\n\n';
+        }
+        
+        if (isPostgres) {
+            sql += 'COMMIT;\n';
+        }
+        
+        return sql;
     }
 
-    // Generate CSV export
-    generateCSVExport() {
-        let csv = 'Table,Field,Type,Category,Description,Options\n';
+    // Map a field to a SQL column: { type, choices?, check?, default? }, a computed placeholder, or null to skip
+    getSqlColumn(field, dialect) {
+        const isPostgres = dialect === 'postgresql';
+        const options = field.options || {};
+        const json = isPostgres ? 'JSONB' : 'TEXT';
+        const decimal = (precision) => {
+            if (precision === 0) return isPostgres ? 'BIGINT' : 'INTEGER';
+            if (!isPostgres) return 'REAL';
+            return precision !== undefined ? `NUMERIC(18, ${precision})` : 'NUMERIC';
+        };
         
-        for (const table of this.schema.tables) {
-            for (const field of table.fields) {
-                const options = JSON.stringify(field.options).replace(/"/g, '""');
-                csv += `"${table.name}","${field.name}","${field.type}","${field.category}","${field.description || ''}","${options}"\n`;
-            }
+        switch (field.type) {
+            case 'singleLineText':
+            case 'multilineText':
+            case 'richText':
+            case 'email':
+            case 'url':
+            case 'phoneNumber':
+            case 'externalSyncSource':
+                return { type: 'TEXT' };
+            case 'number':
+            case 'currency':
+                return { type: decimal(options.precision) };
+            case 'percent':
+                return { type: decimal(options.precision === 0 ? undefined : options.precision) };
+            case 'rating':
+                return { type: 'INTEGER', check: (column) => `${column} BETWEEN 1 AND ${options.max || 5}` };
+            case 'duration':
+                return { type: isPostgres ? 'NUMERIC' : 'REAL' };
+            case 'autoNumber':
+                return { type: isPostgres ? 'BIGINT' : 'INTEGER' };
+            case 'date':
+                return { type: isPostgres ? 'DATE' : 'TEXT' };
+            case 'dateTime':
+            case 'createdTime':
+            case 'lastModifiedTime':
+                return { type: isPostgres ? 'TIMESTAMPTZ' : 'TEXT' };
+            case 'checkbox':
+                return { type: isPostgres ? 'BOOLEAN' : 'INTEGER', default: isPostgres ? 'FALSE' : '0' };
+            case 'singleSelect':
+                return { type: 'TEXT', choices: (options.choices || []).map(c => c.name) };
+            case 'multipleSelects':
+                return { type: isPostgres ? 'TEXT[]' : 'TEXT' };
+            case 'singleCollaborator':
+            case 'createdBy':
+            case 'lastModifiedBy':
+            case 'multipleCollaborators':
+            case 'multipleAttachments':
+            case 'barcode':
+            case 'aiText':
+                return { type: json };
+            case 'button':
+                return null;
+            case 'formula':
+            case 'rollup':
+            case 'lookup':
+            case 'multipleLookupValues':
+            case 'count':
+                return { type: field.type === 'count' ? 'INTEGER' : 'TEXT', placeholder: `${field.type} computed in Airtable; recreate as a view or generated column` };
+            default:
+                return { type: 'TEXT' };
         }
+    }
+
+    // Generate a standalone Scripting-extension script that recreates a schema's tables and fields
+    generateRebuildScript(schema) {
+        const blueprint = {
+            baseName: schema.baseName,
+            generatedAt: schema.generatedAt,
+            tables: schema.tables.map(table => ({
+                id: table.id,
+                name: table.name,
+                description: table.description && table.description !== 'No description' ? table.description : '',
+                fields: (table.fields || []).map(field => ({
+                    id: field.id,
+                    name: field.name,
+                    type: field.type,
+                    description: field.description || '',
+                    options: field.options || {},
+                    isPrimary: field.id === table.primaryFieldId,
+                    linkedTableId: field.linkedTableId || null,
+                    inverseLinkFieldId: field.inverseLinkFieldId || null,
+                    prefersSingleRecordLink: field.prefersSingleRecordLink || false
+                }))
+            }))
+        };
         
-        return csv;
+        let script = '/**\n';
+        script += ` * Rebuild script for "${String(schema.baseName).replace(/\*\//g, '')}"\n`;
+        script += ` * Generated by Airtable Schema Analyzer on ${new Date().toISOString()}\n`;
+        script += this.getScopeComment(' *', schema.scope).replace(/\*\//g, '');
+        script += ' *\n';
+        script += ' * Paste into a Scripting extension in the target base and click Run.\n';
+        script += ' * Tables and fields that already exist (matched by name) are reused, so the script can be re-run.\n';
+        script += ' */\n\n';
+        script += `const BLUEPRINT = ${JSON.stringify(blueprint, null, 4)};\n\n`;
+        script += `${rebuildBaseFromBlueprint.toString()}\n\n`;
+        script += 'await rebuildBaseFromBlueprint(BLUEPRINT);\n';
+        
+        return script;
+    }
+
+    // JSON Schema for a collaborator object
+    getCollaboratorJsonSchema() {
+        return {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                email: { type: 'string', format: 'email' },
+                name: { type: 'string' }
+            },
+            required: ['id']
+        };
     }
 }
 
+// Name of the profile the current settings came from
+let activeProfileName = 'Default';
+
 // Main execution function
 async function main() {
     try {
         output.clear();
         
         output.markdown('# 🚀 Airtable Advanced Schema Analyzer');
-        output.markdown(`Base: **${base.name}** (${base.tables.length} tables)\n`);
+        output.markdown(`Base: **${base.name}** (${base.tables.length} tables)`);
+        output.markdown(`Profile: **${activeProfileName}**`);
+        output.markdown(`Scope: **${describeConfiguredScope()}**\n`);
         
         const startAnalysis = await input.buttonsAsync(
             'Ready to analyze your base?',
             [
                 { label: '▶️ Start Analysis', value: 'start' },
+                { label: '⏯️ Resume from Checkpoint', value: 'resume' },
+                { label: '🗂️ Snapshot History', value: 'history' },
+                { label: '🎯 Scope', value: 'scope' },
+                { label: '🎛️ Profiles', value: 'profiles' },
                 { label: '⚙️ Configure Settings', value: 'settings' },
                 { label: '❓ Help', value: 'help' }
             ]
@@ -797,11 +5646,23 @@ async function main() {
         
         if (startAnalysis === 'settings') {
             await configureSettings();
+        } else if (startAnalysis === 'scope') {
+            await configureScope();
+        } else if (startAnalysis === 'profiles') {
+            await manageProfiles();
         } else if (startAnalysis === 'help') {
             await showHelp();
         } else if (startAnalysis === 'start') {
             const analyzer = new AirtableSchemaAnalyzer();
             await analyzer.analyze();
+        } else if (startAnalysis === 'history') {
+            const analyzer = new AirtableSchemaAnalyzer();
+            await analyzer.browseSnapshots();
+        } else if (startAnalysis === 'resume') {
+            const analyzer = new AirtableSchemaAnalyzer();
+            if (analyzer.loadCheckpoint(await input.textAsync('Paste the checkpoint from the partial analysis:'))) {
+                await analyzer.analyze();
+            }
         }
     } catch (error) {
         output.markdown(`\n❌ **Error:** ${error.message}`);
@@ -813,41 +5674,486 @@ async function main() {
 async function configureSettings() {
     output.clear();
     output.markdown('# ⚙️ Configuration Settings\n');
+    output.markdown(`Current profile: **${activeProfileName}**\n`);
     
-    const sampleRecordsInput = await input.textAsync(
-        'Maximum sample records per table (0-10):',
-        { placeholder: CONFIG.MAX_SAMPLE_RECORDS.toString() }
-    );
+    const askYesNo = (label) => input.buttonsAsync(label, [
+        { label: 'Yes', value: true },
+        { label: 'No', value: false }
+    ]);
     
-    CONFIG.MAX_SAMPLE_RECORDS = parseInt(sampleRecordsInput) || CONFIG.MAX_SAMPLE_RECORDS;
+    await askNumberSetting('MAX_SAMPLE_RECORDS', 'Maximum sample records per table (0-10):');
+    CONFIG.SHOW_FIELD_IDS = await askYesNo('Show field IDs?');
     
-    CONFIG.SHOW_FIELD_IDS = await input.buttonsAsync(
-        'Show field IDs?',
-        [
-            { label: 'Yes', value: true },
-            { label: 'No', value: false }
-        ]
-    );
+    CONFIG.SCAN_RECORDS = await askYesNo('Scan records for counts, samples and profiles? Choose No to document structure only.');
+    if (CONFIG.SCAN_RECORDS) {
+        await askNumberSetting('TIME_BUDGET_SECONDS', 'Time budget for record scans in seconds (0 for no limit, up to 3600):');
+        await askNumberSetting('SCAN_BATCH_SIZE', 'Tables to scan at the same time (1-20):');
+        CONFIG.PROFILE_DATA = await askYesNo('Profile field data (fill rate, distinct and top values)? This loads every cell and is slower.');
+        if (CONFIG.PROFILE_DATA) {
+            await askNumberSetting('PROFILE_TOP_VALUES', 'Most frequent values to keep per field (1-20):');
+        }
+        CONFIG.ANALYZE_CHOICE_USAGE = await askYesNo('Count how many records use each select choice?');
+        CONFIG.ADVISE_FIELD_TYPES = await askYesNo('Inspect text values and suggest better field types?');
+        CONFIG.ADVISE_NORMALIZATION = await askYesNo('Look for choice lists and names repeated across tables?');
+        
+        CONFIG.REDACT_VALUES = await askYesNo('Mask sensitive sample and profile values (emails, phone numbers, collaborators, free text) so the docs can be shared outside the team?');
+        if (CONFIG.REDACT_VALUES) {
+            const patternInput = await input.textAsync(
+                `Also mask fields whose name matches (regular expression, currently ${CONFIG.REDACT_FIELD_NAME_PATTERN || 'none'}):`
+            );
+            if (patternInput) {
+                const errors = validateSettings({ REDACT_FIELD_NAME_PATTERN: patternInput });
+                if (errors.length > 0) {
+                    output.markdown(`⚠️ ${errors[0]}; keeping ${CONFIG.REDACT_FIELD_NAME_PATTERN}`);
+                } else {
+                    CONFIG.REDACT_FIELD_NAME_PATTERN = patternInput;
+                }
+            }
+        }
+    } else {
+        CONFIG.PROFILE_DATA = false;
+    }
     
-    CONFIG.SHOW_RELATIONSHIPS = await input.buttonsAsync(
-        'Analyze table relationships?',
-        [
-            { label: 'Yes', value: true },
-            { label: 'No', value: false }
-        ]
+    CONFIG.SHOW_RELATIONSHIPS = await askYesNo('Analyze table relationships?');
+    CONFIG.INFER_CARDINALITY = CONFIG.SHOW_RELATIONSHIPS && CONFIG.SCAN_RECORDS
+        ? await askYesNo('Infer relationship cardinality from link values? This loads every link field and is slower.')
+        : false;
+    
+    CONFIG.ANALYZE_DEPENDENCIES = await askYesNo('Build the field dependency graph?');
+    if (CONFIG.ANALYZE_DEPENDENCIES) {
+        await askNumberSetting('MAX_LOOKUP_DEPTH', 'Flag lookup chains deeper than (1-10):');
+    }
+    
+    CONFIG.SHOW_STATISTICS = await askYesNo('Calculate statistics?');
+    
+    CONFIG.RUN_AUDIT = await askYesNo('Run the schema audit?');
+    if (CONFIG.RUN_AUDIT && await askYesNo('Configure audit rules?')) {
+        for (const [ruleId, description] of Object.entries(LINT_RULE_DESCRIPTIONS)) {
+            CONFIG.LINT_RULES[ruleId] = await input.buttonsAsync(
+                `${description} (currently ${CONFIG.LINT_RULES[ruleId] || 'off'}):`,
+                [
+                    { label: '❌ Error', value: 'error' },
+                    { label: '⚠️ Warning', value: 'warning' },
+                    { label: 'ℹ️ Info', value: 'info' },
+                    { label: 'Off', value: 'off' }
+                ]
+            );
+        }
+        
+        if (CONFIG.LINT_RULES['field-naming'] !== 'off') {
+            const patternInput = await input.textAsync(
+                `Field name pattern (regular expression, currently ${CONFIG.FIELD_NAME_PATTERN || 'none'}):`
+            );
+            if (patternInput) {
+                const errors = validateSettings({ FIELD_NAME_PATTERN: patternInput });
+                if (errors.length > 0) {
+                    output.markdown(`⚠️ ${errors[0]}; keeping ${CONFIG.FIELD_NAME_PATTERN}`);
+                } else {
+                    CONFIG.FIELD_NAME_PATTERN = patternInput;
+                }
+            }
+        }
+    }
+    
+    CONFIG.SAVE_SNAPSHOTS = await askYesNo(`Save every analysis to the "${CONFIG.SNAPSHOT_TABLE_NAME}" table? The table is created if it does not exist.`);
+    
+    CONFIG.EXPORT_FORMAT = await input.buttonsAsync(
+        `Default export format, listed first in Export Data (currently ${CONFIG.EXPORT_FORMAT}):`,
+        EXPORT_FORMATS
     );
     
-    CONFIG.SHOW_STATISTICS = await input.buttonsAsync(
-        'Calculate statistics?',
+    activeProfileName = `${activeProfileName.replace(/ \(modified\)$/, '')} (modified)`;
+    output.markdown('\n✅ Settings updated!');
+    
+    if (await askYesNo('Save these settings as a profile in the base?')) {
+        const name = (await input.textAsync('Profile name:') || '').trim();
+        try {
+            await saveProfile(name);
+            activeProfileName = name;
+            output.markdown(`✅ Saved profile **${name}**`);
+        } catch (error) {
+            output.markdown(`❌ **Could not save profile:** ${error.message}`);
+            await input.buttonsAsync('', [{ label: 'Continue', value: 'continue' }]);
+        }
+    }
+    
+    // Return to main menu
+    await main();
+}
+
+// Describe the scope the current settings select
+function describeConfiguredScope() {
+    const analyzer = new AirtableSchemaAnalyzer();
+    const baseTables = analyzer.getAnalyzableTables();
+    return analyzer.describeScope(analyzer.getScope(baseTables, baseTables.filter(table => analyzer.isTableInScope(table))));
+}
+
+// Choose which tables and field categories the analysis covers
+async function configureScope() {
+    output.clear();
+    output.markdown('# 🎯 Analysis Scope\n');
+    output.markdown(`Current scope: **${describeConfiguredScope()}**\n`);
+    output.markdown('*Links to tables outside the scope are listed separately in the relationships and statistics.*\n');
+    
+    const choice = await input.buttonsAsync(
+        'What would you like to change?',
         [
-            { label: 'Yes', value: true },
-            { label: 'No', value: false }
+            { label: '📋 Pick Tables', value: 'tables' },
+            { label: '🔤 Name Patterns', value: 'patterns' },
+            { label: '🧩 Field Categories', value: 'categories' },
+            { label: '♻️ Analyze Everything', value: 'reset' },
+            { label: '← Back', value: 'back' }
         ]
     );
     
-    output.markdown('\n✅ Settings updated!');
+    if (choice === 'back') {
+        await main();
+        return;
+    }
+    
+    if (choice === 'tables') {
+        const tables = new AirtableSchemaAnalyzer().getAnalyzableTables();
+        const selected = new Set(tables
+            .filter(table => CONFIG.SCOPE_TABLES.includes(table.id) || CONFIG.SCOPE_TABLES.includes(table.name))
+            .map(table => table.name));
+        
+        while (true) {
+            const toggle = await input.buttonsAsync(
+                `Toggle tables to analyze (${selected.size === 0 ? 'none selected = all tables' : `${selected.size} selected`}):`,
+                [
+                    ...tables.map(table => ({ label: `${selected.has(table.name) ? '✅' : '⬜'} ${table.name}`, value: table.name })),
+                    { label: 'Select All', value: 'all' },
+                    { label: 'Clear', value: 'none' },
+                    { label: '✔️ Done', value: 'done' }
+                ]
+            );
+            if (toggle === 'done') break;
+            if (toggle === 'all') {
+                tables.forEach(table => selected.add(table.name));
+            } else if (toggle === 'none') {
+                selected.clear();
+            } else if (selected.has(toggle)) {
+                selected.delete(toggle);
+            } else {
+                selected.add(toggle);
+            }
+        }
+        CONFIG.SCOPE_TABLES = selected.size === tables.length ? [] : tables.filter(table => selected.has(table.name)).map(table => table.name);
+    } else if (choice === 'patterns') {
+        for (const [key, label] of [['INCLUDE_TABLE_PATTERN', 'Only analyze tables whose name matches'], ['EXCLUDE_TABLE_PATTERN', 'Skip tables whose name matches']]) {
+            while (true) {
+                const answer = (await input.textAsync(
+                    `${label} (regular expression, case-insensitive; leave empty for none):`,
+                    { placeholder: CONFIG[key] }
+                ) || '').trim();
+                const errors = validateSettings({ [key]: answer });
+                if (errors.length === 0) {
+                    CONFIG[key] = answer;
+                    break;
+                }
+                output.markdown(`❌ ${errors[0]}. Please try again.`);
+            }
+        }
+    } else if (choice === 'categories') {
+        const categories = [...Object.keys(FIELD_TYPE_CATEGORIES), 'UNKNOWN'];
+        const selected = new Set(CONFIG.SCOPE_FIELD_CATEGORIES);
+        
+        while (true) {
+            const toggle = await input.buttonsAsync(
+                `Toggle field categories to analyze (${selected.size === 0 ? 'none selected = all fields' : `${selected.size} selected`}; primary fields are always kept):`,
+                [
+                    ...categories.map(category => ({ label: `${selected.has(category) ? '✅' : '⬜'} ${category}`, value: category })),
+                    { label: 'Clear', value: 'none' },
+                    { label: '✔️ Done', value: 'done' }
+                ]
+            );
+            if (toggle === 'done') break;
+            if (toggle === 'none') {
+                selected.clear();
+            } else if (selected.has(toggle)) {
+                selected.delete(toggle);
+            } else {
+                selected.add(toggle);
+            }
+        }
+        CONFIG.SCOPE_FIELD_CATEGORIES = selected.size === categories.length ? [] : categories.filter(category => selected.has(category));
+    } else if (choice === 'reset') {
+        CONFIG.SCOPE_TABLES = [];
+        CONFIG.INCLUDE_TABLE_PATTERN = '';
+        CONFIG.EXCLUDE_TABLE_PATTERN = '';
+        CONFIG.SCOPE_FIELD_CATEGORIES = [];
+    }
+    
+    activeProfileName = `${activeProfileName.replace(/ \(modified\)$/, '')} (modified)`;
+    await configureScope();
+}
+
+// Ask for a numeric setting until the answer is valid (an empty answer keeps the current value)
+async function askNumberSetting(key, label) {
+    while (true) {
+        const answer = (await input.textAsync(label, { placeholder: String(CONFIG[key]) }) || '').trim();
+        if (answer === '') {
+            return;
+        }
+        
+        const value = Number(answer);
+        const errors = validateSettings({ [key]: value });
+        if (errors.length === 0) {
+            CONFIG[key] = value;
+            return;
+        }
+        output.markdown(`❌ ${errors[0]}. Please try again.`);
+    }
+}
+
+// Validate settings against SETTING_RULES, returning readable error messages
+function validateSettings(settings) {
+    const errors = [];
+    
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['Settings must be a JSON object'];
+    }
+    
+    for (const [key, value] of Object.entries(settings)) {
+        const rule = SETTING_RULES[key];
+        if (!rule) {
+            errors.push(`Unknown setting ${key}`);
+            continue;
+        }
+        
+        switch (rule.type) {
+            case 'integer':
+                if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+                    errors.push(`${key} must be a whole number from ${rule.min} to ${rule.max} (got ${typeof value === 'number' ? value : JSON.stringify(value)})`);
+                }
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    errors.push(`${key} must be true or false (got ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'name':
+                if (typeof value !== 'string' || !value.trim()) {
+                    errors.push(`${key} must be a non-empty name`);
+                }
+                break;
+            case 'pattern':
+                if (typeof value !== 'string') {
+                    errors.push(`${key} must be a regular expression string`);
+                    break;
+                }
+                try {
+                    new RegExp(value);
+                } catch (error) {
+                    errors.push(`${key} is not a valid regular expression: ${error.message}`);
+                }
+                break;
+            case 'exportFormat':
+                if (!EXPORT_FORMATS.some(format => format.value === value)) {
+                    errors.push(`${key} must be one of ${EXPORT_FORMATS.map(format => format.value).join(', ')} (got ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'nameList':
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+                    errors.push(`${key} must be a list of table names or IDs`);
+                }
+                break;
+            case 'fieldTypeList': {
+                const knownTypes = Object.values(FIELD_TYPE_CATEGORIES).flat();
+                const unknownTypes = Array.isArray(value) ? value.filter(item => !knownTypes.includes(item)) : [];
+                if (!Array.isArray(value)) {
+                    errors.push(`${key} must be a list of field types`);
+                } else if (unknownTypes.length > 0) {
+                    errors.push(`${key} has unknown field types: ${unknownTypes.join(', ')}`);
+                }
+                break;
+            }
+            case 'categoryList': {
+                const categories = [...Object.keys(FIELD_TYPE_CATEGORIES), 'UNKNOWN'];
+                if (!Array.isArray(value) || value.some(item => !categories.includes(item))) {
+                    errors.push(`${key} must be a list of field categories: ${categories.join(', ')}`);
+                }
+                break;
+            }
+            case 'lintRules':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${key} must map rule IDs to severities`);
+                    break;
+                }
+                for (const [ruleId, severity] of Object.entries(value)) {
+                    if (!LINT_RULE_DESCRIPTIONS[ruleId]) {
+                        errors.push(`Unknown audit rule ${ruleId}`);
+                    } else if (![...LINT_SEVERITIES, 'off'].includes(severity)) {
+                        errors.push(`Audit rule ${ruleId} must be error, warning, info or off (got ${JSON.stringify(severity)})`);
+                    }
+                }
+                break;
+        }
+    }
+    
+    if (settings.INFER_CARDINALITY === true && settings.SCAN_RECORDS === false) {
+        errors.push('INFER_CARDINALITY needs SCAN_RECORDS');
+    }
+    if (settings.PROFILE_DATA === true && settings.SCAN_RECORDS === false) {
+        errors.push('PROFILE_DATA needs SCAN_RECORDS');
+    }
+    
+    return errors;
+}
+
+// Reset CONFIG to the defaults and apply a profile's overrides (audit rules are merged)
+function applyProfile(name, settings) {
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        throw new Error(`Profile "${name}" is invalid: ${errors.join('; ')}`);
+    }
+    
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    Object.assign(CONFIG, defaults, settings);
+    CONFIG.LINT_RULES = { ...defaults.LINT_RULES, ...(settings.LINT_RULES || {}) };
+    activeProfileName = name;
+}
+
+// Get the profile table, creating it when asked (returns null when it does not exist)
+async function getProfileTable(createIfMissing) {
+    const table = base.getTableIfExists(PROFILE_TABLE_NAME);
+    if (table) {
+        if (!table.getFieldIfExists('Name') || !table.getFieldIfExists('Settings')) {
+            throw new Error(`Table "${PROFILE_TABLE_NAME}" needs a "Name" and a "Settings" field`);
+        }
+        return table;
+    }
+    
+    if (!createIfMissing) {
+        return null;
+    }
+    
+    const tableId = await base.createTableAsync(PROFILE_TABLE_NAME, [
+        { name: 'Name', type: 'singleLineText' },
+        { name: 'Settings', type: 'multilineText' }
+    ]);
+    return base.getTable(tableId);
+}
+
+// Load the profiles saved in the base; rows that cannot be used are reported and skipped
+async function loadSavedProfiles() {
+    const table = await getProfileTable(false);
+    if (!table) {
+        return [];
+    }
+    
+    const query = await table.selectRecordsAsync({ fields: ['Name', 'Settings'] });
+    const profiles = [];
+    for (const record of query.records) {
+        const name = (record.getCellValue('Name') || '').trim();
+        if (!name) continue;
+        
+        let settings;
+        try {
+            settings = JSON.parse(record.getCellValue('Settings') || '{}');
+        } catch (error) {
+            output.markdown(`⚠️ Skipping profile **${name}**: settings are not valid JSON (${error.message})`);
+            continue;
+        }
+        
+        const errors = validateSettings(settings);
+        if (errors.length > 0) {
+            output.markdown(`⚠️ Skipping profile **${name}**: ${errors.join('; ')}`);
+            continue;
+        }
+        profiles.push({ name, settings, recordId: record.id });
+    }
+    
+    return profiles;
+}
+
+// Save the current settings as a named profile, replacing a saved profile with the same name
+async function saveProfile(name) {
+    if (!name) {
+        throw new Error('Profile name is required');
+    }
+    
+    const settings = {};
+    for (const key of Object.keys(SETTING_RULES)) {
+        settings[key] = CONFIG[key];
+    }
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    
+    const table = await getProfileTable(true);
+    const existing = (await loadSavedProfiles()).find(profile => profile.name === name);
+    const fields = { 'Name': name, 'Settings': JSON.stringify(settings, null, 2) };
+    if (existing) {
+        await table.updateRecordAsync(existing.recordId, fields);
+    } else {
+        await table.createRecordAsync(fields);
+    }
+}
+
+// Choose, apply or delete configuration profiles
+async function manageProfiles() {
+    output.clear();
+    output.markdown('# 🎛️ Configuration Profiles\n');
+    output.markdown(`Current profile: **${activeProfileName}**\n`);
+    
+    let saved = [];
+    try {
+        saved = await loadSavedProfiles();
+    } catch (error) {
+        output.markdown(`❌ **Could not load saved profiles:** ${error.message}`);
+    }
+    
+    // Saved profiles replace built-in profiles with the same name
+    const profiles = [{ name: 'Default', settings: {}, source: 'built-in' }];
+    for (const [name, settings] of Object.entries(BUILT_IN_PROFILES)) {
+        if (!saved.some(profile => profile.name === name)) {
+            profiles.push({ name, settings, source: 'built-in' });
+        }
+    }
+    for (const profile of saved) {
+        profiles.push({ ...profile, source: `saved in ${PROFILE_TABLE_NAME}` });
+    }
+    
+    output.markdown('| Profile | Source | Records | Profiling | Audit | Default Export |');
+    output.markdown('|---------|--------|---------|-----------|-------|----------------|');
+    for (const profile of profiles) {
+        const effective = { ...DEFAULT_SETTINGS, ...profile.settings };
+        output.markdown(`| ${profile.name} | ${profile.source} | ${effective.SCAN_RECORDS ? 'scan' : 'skip'} | ${effective.PROFILE_DATA ? 'on' : 'off'} | ${effective.RUN_AUDIT ? 'on' : 'off'} | ${effective.EXPORT_FORMAT} |`);
+    }
+    
+    const options = profiles.map((profile, index) => ({ label: profile.name, value: index }));
+    if (saved.length > 0) {
+        options.push({ label: '🗑️ Delete a Saved Profile', value: 'delete' });
+    }
+    options.push({ label: '← Back', value: 'back' });
+    
+    const choice = await input.buttonsAsync('Apply which profile?', options);
+    
+    if (choice === 'delete') {
+        const recordId = await input.buttonsAsync(
+            'Delete which profile?',
+            [...saved.map(profile => ({ label: profile.name, value: profile.recordId })), { label: '← Back', value: 'back' }]
+        );
+        if (recordId !== 'back') {
+            const table = await getProfileTable(false);
+            await table.deleteRecordAsync(recordId);
+        }
+        await manageProfiles();
+        return;
+    }
+    
+    if (choice !== 'back') {
+        const profile = profiles[choice];
+        try {
+            applyProfile(profile.name, profile.settings);
+        } catch (error) {
+            output.markdown(`❌ ${error.message}`);
+            await input.buttonsAsync('', [{ label: 'Continue', value: 'continue' }]);
+        }
+    }
     
-    // Return to main menu
     await main();
 }
 
@@ -895,10 +6201,232 @@ Press any button to return to the main menu.`);
     await main();
 }
 
-// Start the analyzer
-output.clear();
-output.markdown('# 🚀 Airtable Schema Analyzer');
-output.markdown('Initializing...\n');
+// Recreate tables and fields from a rebuild blueprint. This function is serialized into
+// generated rebuild scripts, so it must only use the scripting globals (base, output)
+async function rebuildBaseFromBlueprint(blueprint) {
+    const PLAIN_TYPES = [
+        'singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber',
+        'number', 'percent', 'currency', 'rating', 'duration', 'date', 'dateTime',
+        'checkbox', 'singleSelect', 'multipleSelects', 'singleCollaborator',
+        'multipleCollaborators', 'multipleAttachments', 'barcode'
+    ];
+    const PRIMARY_TYPES = [
+        'singleLineText', 'multilineText', 'email', 'url', 'phoneNumber',
+        'number', 'percent', 'currency', 'duration', 'date', 'dateTime'
+    ];
+    const DEPENDENT_TYPES = ['lookup', 'multipleLookupValues', 'count'];
+    
+    const tableIds = {};
+    const fieldIds = {};
+    const checklist = [];
+    
+    // Options in the write format expected by createFieldAsync
+    const toWriteOptions = (field) => {
+        const options = field.options || {};
+        switch (field.type) {
+            case 'singleSelect':
+            case 'multipleSelects':
+                return { choices: (options.choices || []).map(c => c.color && c.color !== 'default' ? { name: c.name, color: c.color } : { name: c.name }) };
+            case 'number':
+            case 'percent':
+                return { precision: options.precision || 0 };
+            case 'currency':
+                return { precision: options.precision || 0, symbol: options.symbol || '$' };
+            case 'rating':
+                return { max: options.max || 5, icon: options.icon || 'star', color: options.color || 'yellowBright' };
+            case 'checkbox':
+                return { icon: options.icon || 'check', color: options.color || 'greenBright' };
+            case 'date':
+                return { dateFormat: options.dateFormat || { name: 'local' } };
+            case 'dateTime':
+                return {
+                    dateFormat: options.dateFormat || { name: 'local' },
+                    timeFormat: options.timeFormat || { name: '12hour' },
+                    timeZone: options.timeZone || 'client'
+                };
+            case 'duration':
+                return { durationFormat: options.durationFormat || 'h:mm' };
+            case 'multipleAttachments':
+                return { isReversed: false };
+            default:
+                return null;
+        }
+    };
+    
+    const createField = async (table, field, type, options) => {
+        const existing = table.getFieldIfExists(field.name);
+        if (existing) {
+            fieldIds[field.id] = existing.id;
+            return existing.id;
+        }
+        const newFieldId = await table.createFieldAsync(field.name, type, options, field.description || null);
+        fieldIds[field.id] = newFieldId;
+        return newFieldId;
+    };
+    
+    output.markdown(`# 🏗️ Rebuilding "${blueprint.baseName}"`);
+    
+    // Phase 1: tables with their primary field and plain fields
+    output.markdown('## Phase 1: Tables and plain fields');
+    for (const tableSpec of blueprint.tables) {
+        let table = base.getTableIfExists(tableSpec.name);
+        const primarySpec = tableSpec.fields.find(f => f.isPrimary) || tableSpec.fields[0];
+        
+        if (!table) {
+            const primaryType = primarySpec && PRIMARY_TYPES.includes(primarySpec.type) ? primarySpec.type : 'singleLineText';
+            if (primarySpec && primaryType !== primarySpec.type) {
+                checklist.push(`**${tableSpec.name}.${primarySpec.name}**: primary field created as singleLineText; change it to ${primarySpec.type}`);
+            }
+            const primaryField = {
+                name: primarySpec ? primarySpec.name : 'Name',
+                type: primaryType,
+                options: primarySpec && primaryType === primarySpec.type ? toWriteOptions(primarySpec) : null
+            };
+            if (primarySpec && primarySpec.description) {
+                primaryField.description = primarySpec.description;
+            }
+            if (!primaryField.options) {
+                delete primaryField.options;
+            }
+            
+            const newTableId = await base.createTableAsync(tableSpec.name, [primaryField]);
+            table = base.getTable(newTableId);
+            if (tableSpec.description) {
+                checklist.push(`**${tableSpec.name}**: set the table description: "${tableSpec.description}"`);
+            }
+        }
+        
+        tableIds[tableSpec.id] = table.id;
+        if (primarySpec) {
+            fieldIds[primarySpec.id] = table.primaryField.id;
+        }
+        
+        for (const fieldSpec of tableSpec.fields) {
+            if (fieldSpec === primarySpec || !PLAIN_TYPES.includes(fieldSpec.type)) continue;
+            try {
+                await createField(table, fieldSpec, fieldSpec.type, toWriteOptions(fieldSpec));
+            } catch (error) {
+                checklist.push(`**${tableSpec.name}.${fieldSpec.name}** (${fieldSpec.type}): could not be created: ${error.message}`);
+            }
+        }
+        output.markdown(`✅ ${tableSpec.name}`);
+    }
+    
+    // Phase 2: linked record fields (creating one side also creates its inverse)
+    output.markdown('## Phase 2: Linked record fields');
+    for (const tableSpec of blueprint.tables) {
+        const table = base.getTable(tableIds[tableSpec.id]);
+        for (const fieldSpec of tableSpec.fields) {
+            if (fieldSpec.type !== 'multipleRecordLinks' || fieldIds[fieldSpec.id]) continue;
+            
+            const targetSpec = blueprint.tables.find(t => t.id === fieldSpec.linkedTableId);
+            if (!targetSpec) {
+                checklist.push(`**${tableSpec.name}.${fieldSpec.name}**: links to a table that is not part of this rebuild`);
+                continue;
+            }
+            
+            try {
+                const newFieldId = await createField(table, fieldSpec, 'multipleRecordLinks', { linkedTableId: tableIds[targetSpec.id] });
+                const newField = table.getField(newFieldId);
+                const inverseSpec = targetSpec.fields.find(f => f.id === fieldSpec.inverseLinkFieldId);
+                const inverseFieldId = newField.options && newField.options.inverseLinkFieldId;
+                
+                if (inverseSpec && inverseFieldId) {
+                    const inverseField = base.getTable(tableIds[targetSpec.id]).getField(inverseFieldId);
+                    if (inverseField.name !== inverseSpec.name) {
+                        await inverseField.updateNameAsync(inverseSpec.name);
+                    }
+                    if (inverseSpec.description) {
+                        await inverseField.updateDescriptionAsync(inverseSpec.description);
+                    }
+                    fieldIds[inverseSpec.id] = inverseFieldId;
+                    if (inverseSpec.prefersSingleRecordLink) {
+                        checklist.push(`**${targetSpec.name}.${inverseSpec.name}**: turn off "Allow linking to multiple records"`);
+                    }
+                } else if (!inverseSpec && inverseFieldId && targetSpec.id !== tableSpec.id) {
+                    checklist.push(`**${targetSpec.name}**: the original link had no inverse; delete the auto-created inverse of ${tableSpec.name}.${fieldSpec.name} if unwanted`);
+                }
+                if (fieldSpec.prefersSingleRecordLink) {
+                    checklist.push(`**${tableSpec.name}.${fieldSpec.name}**: turn off "Allow linking to multiple records"`);
+                }
+            } catch (error) {
+                checklist.push(`**${tableSpec.name}.${fieldSpec.name}** (link): could not be created: ${error.message}`);
+            }
+        }
+    }
+    
+    // Phase 3: lookups and counts, created once the fields they depend on exist
+    output.markdown('## Phase 3: Lookup and count fields');
+    let pending = [];
+    for (const tableSpec of blueprint.tables) {
+        for (const fieldSpec of tableSpec.fields) {
+            if (DEPENDENT_TYPES.includes(fieldSpec.type)) {
+                pending.push({ tableSpec, fieldSpec });
+            }
+        }
+    }
+    
+    let progress = true;
+    while (pending.length > 0 && progress) {
+        progress = false;
+        const stillPending = [];
+        for (const item of pending) {
+            const { tableSpec, fieldSpec } = item;
+            const options = fieldSpec.options || {};
+            const sources = [options.recordLinkFieldId, options.fieldIdInLinkedTable].filter(Boolean);
+            if (!sources.every(id => fieldIds[id])) {
+                stillPending.push(item);
+                continue;
+            }
+            
+            const table = base.getTable(tableIds[tableSpec.id]);
+            try {
+                if (fieldSpec.type === 'lookup' || fieldSpec.type === 'multipleLookupValues') {
+                    await createField(table, fieldSpec, 'multipleLookupValues', {
+                        recordLinkFieldId: fieldIds[options.recordLinkFieldId],
+                        fieldIdInLinkedTable: fieldIds[options.fieldIdInLinkedTable]
+                    });
+                } else {
+                    await createField(table, fieldSpec, 'count', { recordLinkFieldId: fieldIds[options.recordLinkFieldId] });
+                }
+            } catch (error) {
+                checklist.push(`**${tableSpec.name}.${fieldSpec.name}** (${fieldSpec.type}): create manually (${error.message})`);
+                fieldIds[fieldSpec.id] = null;
+            }
+            progress = true;
+        }
+        pending = stillPending;
+    }
+    for (const { tableSpec, fieldSpec } of pending) {
+        checklist.push(`**${tableSpec.name}.${fieldSpec.name}** (${fieldSpec.type}): create manually; the fields it depends on could not be created`);
+    }
+    
+    // Everything else needs a human
+    for (const tableSpec of blueprint.tables) {
+        for (const fieldSpec of tableSpec.fields) {
+            const isHandled = fieldSpec.isPrimary || PLAIN_TYPES.includes(fieldSpec.type) ||
+                DEPENDENT_TYPES.includes(fieldSpec.type) || fieldSpec.type === 'multipleRecordLinks';
+            if (!isHandled) {
+                checklist.push(`**${tableSpec.name}.${fieldSpec.name}** (${fieldSpec.type}): create manually`);
+            }
+        }
+    }
+    
+    output.markdown(`## 📋 Manual Checklist (${checklist.length})`);
+    if (checklist.length === 0) {
+        output.markdown('✅ Everything was created automatically.');
+    }
+    for (const item of checklist) {
+        output.markdown(`- [ ] ${item}`);
+    }
+}
 
-// Run main function
-await main();
+// Start the analyzer (the headless CLI loads this file with SCHEMA_ANALYZER_HEADLESS set and drives it itself)
+if (typeof SCHEMA_ANALYZER_HEADLESS === 'undefined' || !SCHEMA_ANALYZER_HEADLESS) {
+    output.clear();
+    output.markdown('# 🚀 Airtable Schema Analyzer');
+    output.markdown('Initializing...\n');
+    
+    // Run main function
+    await main();
+}
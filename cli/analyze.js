@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Non-interactive CLI for the Airtable Schema Analyzer
+ *
+ * Usage:
+ *   node cli/analyze.js --schema <metadata-or-export.json> [options]
+ *
+ * Run with --help for all options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadAnalyzer } = require('./headless-runtime');
+const { createBaseFromMetadata } = require('./metadata-base');
+
+// Output file name per export format
+const EXPORT_FILES = {
+    json: 'schema.json',
+    markdown: 'schema.md',
+    html: 'schema.html',
+    csv: null, // Bundle: the file names come from generateExportBundle()
+    impact: 'impact-report.md',
+    audit: 'audit-report.md',
+    choices: 'choice-cleanup.md',
+    typeadvice: 'type-advice.md',
+    normalization: 'normalization.md',
+    mermaid: 'schema.mmd',
+    dot: 'schema.dot',
+    plantuml: 'schema.puml',
+    typescript: 'airtable-types.ts',
+    jsonschema: 'schema.schema.json',
+    sql: 'schema.sql',
+    rebuild: 'rebuild-base.js'
+};
+
+const HELP = `Airtable Schema Analyzer (headless)
+
+Usage: node cli/analyze.js --schema <file> [options]
+
+Input:
+  --schema <file>              Airtable metadata API response (GET /v0/meta/bases/{id}/tables)
+                               or a JSON export from the analyzer (required)
+  --records <file>             Record fixtures: { "<table name or ID>": [{ "id": "rec...", "fields": { ... } }] }
+  --base-name <name>           Base name (metadata API responses do not include one)
+  --base-id <id>               Base ID
+
+Settings:
+  --config-profile <name>      Start from a built-in profile: "Quick overview", "Full audit" or "Docs export"
+  --config-file <file>         Start from a profile's settings JSON (as saved in the "Schema Analyzer Profiles" table)
+                               The flags below override the profile
+
+Scope:
+  --tables <list>              Comma-separated table names or IDs to analyze (default: all tables)
+  --include-tables <pattern>   Only analyze tables whose name matches this regular expression (case-insensitive)
+  --exclude-tables <pattern>   Skip tables whose name matches this regular expression (case-insensitive)
+  --field-categories <list>    Only analyze fields in these categories (primary fields are always kept):
+                               TEXT, NUMERIC, DATE, SELECT, RELATIONAL, ATTACHMENT, CHECKBOX, USER, COMPUTED, OTHER, UNKNOWN
+
+Analysis:
+  --no-relationships           Skip relationship analysis
+  --infer-cardinality          Infer relationship cardinality from link values (needs --records)
+  --no-dependencies            Skip the field dependency graph
+  --no-statistics              Skip statistics
+  --profile                    Profile field values (needs --records)
+  --no-choice-usage            Skip counting the records that use each select choice
+  --no-type-advice             Skip the field type advisor
+  --no-normalization           Skip the normalization advisor
+  --sample-records <n>         Sample records per table (default 5)
+  --redact                     Mask sensitive sample and profile values (emails, phones, collaborators, free text)
+  --redact-pattern <pattern>   Also mask fields whose name matches this regular expression (case-insensitive)
+  --structure-only             Skip record scans (counts, samples and profiles)
+  --time-budget <seconds>      Stop record scans after this long and write checkpoint.json (default: the profile's budget, otherwise no limit)
+  --resume <file>              Resume from a checkpoint.json written by an earlier partial run
+
+Export:
+  --format <list>              Comma-separated formats (default: the profile's export format, json without a profile):
+                               ${Object.keys(EXPORT_FILES).join(', ')}
+  --out <dir>                  Output directory (default ./schema-export)
+  --diagram-detail <level>     primary | all (default primary)
+  --typescript-key <key>       name | id (default name)
+  --json-schema-layout <l>     bundle | perTable (default bundle)
+  --markdown-layout <l>        single | split: one file per table plus index.md (default single)
+  --sql-dialect <dialect>      postgresql | sqlite (default postgresql)
+
+CI:
+  --fail-on <severity>         Exit with code 2 when the audit has findings at or above error | warning | info
+  --verbose                    Print analysis progress to stderr
+  --help                       Show this help
+`;
+
+// Parse command line flags
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            schema: { type: 'string' },
+            records: { type: 'string' },
+            'config-profile': { type: 'string' },
+            'config-file': { type: 'string' },
+            'base-name': { type: 'string' },
+            'base-id': { type: 'string' },
+            tables: { type: 'string' },
+            'include-tables': { type: 'string' },
+            'exclude-tables': { type: 'string' },
+            'field-categories': { type: 'string' },
+            'no-relationships': { type: 'boolean', default: false },
+            'infer-cardinality': { type: 'boolean', default: false },
+            'no-dependencies': { type: 'boolean', default: false },
+            'no-statistics': { type: 'boolean', default: false },
+            profile: { type: 'boolean', default: false },
+            'no-choice-usage': { type: 'boolean', default: false },
+            'no-type-advice': { type: 'boolean', default: false },
+            'no-normalization': { type: 'boolean', default: false },
+            'sample-records': { type: 'string' },
+            redact: { type: 'boolean', default: false },
+            'redact-pattern': { type: 'string' },
+            'structure-only': { type: 'boolean', default: false },
+            'time-budget': { type: 'string' },
+            resume: { type: 'string' },
+            format: { type: 'string' },
+            out: { type: 'string', default: 'schema-export' },
+            'diagram-detail': { type: 'string', default: 'primary' },
+            'typescript-key': { type: 'string', default: 'name' },
+            'json-schema-layout': { type: 'string', default: 'bundle' },
+            'markdown-layout': { type: 'string', default: 'single' },
+            'sql-dialect': { type: 'string', default: 'postgresql' },
+            'fail-on': { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    
+    return values;
+}
+
+// Split a comma-separated flag value into trimmed entries
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Resolve the export formats from --format or the profile's export format
+function getFormats(options, CONFIG) {
+    const formats = options.format
+        ? splitList(options.format)
+        : [CONFIG.EXPORT_FORMAT];
+    const unknownFormats = formats.filter(f => !Object.prototype.hasOwnProperty.call(EXPORT_FILES, f));
+    if (unknownFormats.length > 0) {
+        throw new Error(`Unknown format(s): ${unknownFormats.join(', ')}`);
+    }
+    return formats;
+}
+
+// Read and parse a JSON file with a readable error
+function readJsonFile(filePath, label) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${label} file ${filePath}: ${error.message}`);
+    }
+}
+
+// Options passed to generateExport() for each format
+function getExportOptions(format, options) {
+    switch (format) {
+        case 'mermaid':
+        case 'dot':
+        case 'plantuml':
+            return { detail: options['diagram-detail'] };
+        case 'typescript':
+            return { keyBy: options['typescript-key'] };
+        case 'jsonschema':
+            return { layout: options['json-schema-layout'] };
+        case 'markdown':
+            return { layout: options['markdown-layout'] };
+        case 'sql':
+            return { dialect: options['sql-dialect'] };
+        default:
+            return {};
+    }
+}
+
+async function run(argv) {
+    const options = parseOptions(argv);
+    if (options.help || !options.schema) {
+        process.stdout.write(HELP);
+        return options.help ? 0 : 1;
+    }
+    
+    const metadata = readJsonFile(options.schema, 'schema');
+    const records = options.records ? readJsonFile(options.records, 'records') : {};
+    const base = createBaseFromMetadata(metadata, {
+        records,
+        baseName: options['base-name'],
+        baseId: options['base-id']
+    });
+    
+    const {
+        AirtableSchemaAnalyzer, CONFIG, LINT_SEVERITIES, BUILT_IN_PROFILES, validateSettings, applyProfile
+    } = await loadAnalyzer(base, { verbose: options.verbose });
+    
+    if (options['config-profile']) {
+        const settings = BUILT_IN_PROFILES[options['config-profile']];
+        if (!settings) {
+            throw new Error(`Unknown profile "${options['config-profile']}"; built-in profiles: ${Object.keys(BUILT_IN_PROFILES).join(', ')}`);
+        }
+        applyProfile(options['config-profile'], settings);
+    } else if (options['config-file']) {
+        applyProfile(path.basename(options['config-file']), readJsonFile(options['config-file'], 'config'));
+    } else {
+        // Without a profile there is no time budget: the default only guards the extension's run limit
+        CONFIG.TIME_BUDGET_SECONDS = 0;
+    }
+    
+    // Flags override the profile
+    if (options['no-relationships']) CONFIG.SHOW_RELATIONSHIPS = false;
+    if (options['infer-cardinality']) CONFIG.INFER_CARDINALITY = true;
+    if (options['no-dependencies']) CONFIG.ANALYZE_DEPENDENCIES = false;
+    if (options['no-statistics']) CONFIG.SHOW_STATISTICS = false;
+    if (options.profile) CONFIG.PROFILE_DATA = true;
+    if (options['no-choice-usage']) CONFIG.ANALYZE_CHOICE_USAGE = false;
+    if (options['no-type-advice']) CONFIG.ADVISE_FIELD_TYPES = false;
+    if (options['no-normalization']) CONFIG.ADVISE_NORMALIZATION = false;
+    if (options['structure-only']) CONFIG.SCAN_RECORDS = false;
+    if (options['sample-records'] !== undefined) {
+        CONFIG.MAX_SAMPLE_RECORDS = Number(options['sample-records']);
+    }
+    if (options.redact) CONFIG.REDACT_VALUES = true;
+    if (options['redact-pattern'] !== undefined) CONFIG.REDACT_FIELD_NAME_PATTERN = options['redact-pattern'];
+    if (options['time-budget'] !== undefined) CONFIG.TIME_BUDGET_SECONDS = Number(options['time-budget']);
+    if (options.tables !== undefined) CONFIG.SCOPE_TABLES = splitList(options.tables);
+    if (options['include-tables'] !== undefined) CONFIG.INCLUDE_TABLE_PATTERN = options['include-tables'];
+    if (options['exclude-tables'] !== undefined) CONFIG.EXCLUDE_TABLE_PATTERN = options['exclude-tables'];
+    if (options['field-categories'] !== undefined) {
+        CONFIG.SCOPE_FIELD_CATEGORIES = splitList(options['field-categories']).map(category => category.toUpperCase());
+    }
+    
+    const errors = validateSettings({ ...CONFIG });
+    if (errors.length > 0) {
+        throw new Error(`Invalid settings: ${errors.join('; ')}`);
+    }
+    const formats = getFormats(options, CONFIG);
+    
+    const analyzer = new AirtableSchemaAnalyzer();
+    if (options.resume && !analyzer.loadCheckpoint(fs.readFileSync(options.resume, 'utf8'))) {
+        throw new Error(`Invalid checkpoint file ${options.resume} (run with --verbose for details)`);
+    }
+    
+    const completed = await analyzer.runAnalysis();
+    if (!completed) {
+        throw new Error(analyzer.schema.scope
+            ? `No tables match the scope: ${analyzer.describeScope()}`
+            : 'No tables found in the schema file');
+    }
+    if (analyzer.schema.scope.isLimited) {
+        process.stdout.write(`Scope: ${analyzer.describeScope()}\n`);
+    }
+    
+    fs.mkdirSync(options.out, { recursive: true });
+    for (const format of formats) {
+        const exportOptions = getExportOptions(format, options);
+        const files = analyzer.generateExportBundle(format, exportOptions) ||
+            { [EXPORT_FILES[format]]: analyzer.generateExport(format, exportOptions) };
+        for (const [fileName, content] of Object.entries(files)) {
+            const filePath = path.join(options.out, fileName);
+            fs.writeFileSync(filePath, content);
+            process.stdout.write(`Wrote ${filePath}\n`);
+        }
+    }
+    
+    const structure = analyzer.schema.statistics.structure;
+    if (structure) {
+        process.stdout.write(`Complexity: ${structure.complexity.score} (${structure.complexity.rating})\n`);
+    }
+    if (CONFIG.ADVISE_NORMALIZATION) {
+        process.stdout.write(`Normalization suggestions: ${analyzer.schema.normalization.length}\n`);
+    }
+    
+    const analysis = analyzer.schema.analysis;
+    if (!analysis.complete) {
+        const checkpointPath = path.join(options.out, 'checkpoint.json');
+        fs.writeFileSync(checkpointPath, analyzer.createCheckpoint());
+        process.stdout.write(`Partial analysis: ${analysis.pendingTableIds.length} table(s) not scanned; resume with --resume ${checkpointPath}\n`);
+    }
+    
+    if (!CONFIG.RUN_AUDIT) {
+        process.stdout.write('Audit: off\n');
+        if (options['fail-on']) {
+            throw new Error('--fail-on needs the audit, which the selected profile turns off');
+        }
+        return 0;
+    }
+    
+    const audit = analyzer.schema.audit;
+    process.stdout.write(`Audit: ${LINT_SEVERITIES.map(s => `${audit.counts[s] || 0} ${s}`).join(', ')}\n`);
+    
+    if (options['fail-on']) {
+        const threshold = LINT_SEVERITIES.indexOf(options['fail-on']);
+        if (threshold === -1) {
+            throw new Error(`--fail-on must be one of: ${LINT_SEVERITIES.join(', ')}`);
+        }
+        const failing = LINT_SEVERITIES.slice(0, threshold + 1).reduce((sum, s) => sum + (audit.counts[s] || 0), 0);
+        if (failing > 0) {
+            process.stderr.write(`Audit failed: ${failing} finding(s) at or above "${options['fail-on']}"\n`);
+            return 2;
+        }
+    }
+    
+    return 0;
+}
+
+run(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exitCode = 1;
+    });
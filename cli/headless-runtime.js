@@ -0,0 +1,74 @@
+/**
+ * Headless runtime for the Airtable Schema Analyzer
+ * Loads airtable-schema-analyzer.js in Node with replacements for the
+ * Scripting extension globals (base, input, output)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ANALYZER_PATH = path.join(__dirname, '..', 'airtable-schema-analyzer.js');
+
+// Names the analyzer script exposes to the headless runtime
+const EXPORTED_NAMES = [
+    'AirtableSchemaAnalyzer', 'CONFIG', 'FIELD_TYPE_CATEGORIES', 'LINT_RULE_DESCRIPTIONS', 'LINT_SEVERITIES',
+    'BUILT_IN_PROFILES', 'EXPORT_FORMATS', 'validateSettings', 'applyProfile'
+];
+
+// Input adapter: there is nobody to answer prompts, so any prompt is a programming error
+function createHeadlessInput() {
+    const fail = (label) => {
+        throw new Error(`Interactive input is not available in headless mode (prompt: "${label}")`);
+    };
+    return {
+        buttonsAsync: async (label) => fail(label),
+        textAsync: async (label) => fail(label),
+        tableAsync: async (label) => fail(label),
+        fieldAsync: async (label) => fail(label),
+        viewAsync: async (label) => fail(label),
+        recordAsync: async (label) => fail(label),
+        fileAsync: async (label) => fail(label)
+    };
+}
+
+// Output adapter: progress messages go to stderr when verbose, otherwise they are dropped
+function createHeadlessOutput(options = {}) {
+    const write = (text) => {
+        if (options.verbose) {
+            process.stderr.write(`${text}\n`);
+        }
+    };
+    return {
+        markdown: (text) => write(text),
+        text: (text) => write(text),
+        table: (data) => write(JSON.stringify(data, null, 2)),
+        inspect: (data) => write(JSON.stringify(data, null, 2)),
+        clear: () => {}
+    };
+}
+
+// Evaluate the analyzer script against the given base and return its top-level definitions
+async function loadAnalyzer(base, options = {}) {
+    const source = fs.readFileSync(options.analyzerPath || ANALYZER_PATH, 'utf8');
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    const factory = new AsyncFunction(
+        'base',
+        'input',
+        'output',
+        'SCHEMA_ANALYZER_HEADLESS',
+        `${source}\nreturn { ${EXPORTED_NAMES.join(', ')} };`
+    );
+    
+    return factory(
+        base,
+        options.input || createHeadlessInput(),
+        options.output || createHeadlessOutput(options),
+        true
+    );
+}
+
+module.exports = {
+    createHeadlessInput,
+    createHeadlessOutput,
+    loadAnalyzer
+};
@@ -0,0 +1,179 @@
+/**
+ * Base provider for headless runs
+ * Builds an object that behaves like the Scripting extension's `base` from
+ * an Airtable metadata API response or a previous JSON export, plus optional
+ * record fixtures
+ */
+
+// Field types Airtable computes itself
+const COMPUTED_FIELD_TYPES = [
+    'formula', 'rollup', 'count', 'lookup', 'multipleLookupValues', 'autoNumber',
+    'createdTime', 'lastModifiedTime', 'createdBy', 'lastModifiedBy', 'button', 'externalSyncSource'
+];
+
+// A previous export has baseName/generatedAt; a metadata API response only has tables
+function isSchemaExport(metadata) {
+    return Boolean(metadata.baseName || metadata.generatedAt);
+}
+
+// Normalize a field from either input shape to the scripting field shape
+function normalizeField(fieldSpec, fromExport) {
+    const options = fieldSpec.options ? { ...fieldSpec.options } : {};
+    
+    // Exports store link settings next to the options
+    if (fromExport && fieldSpec.type === 'multipleRecordLinks') {
+        for (const key of ['linkedTableId', 'inverseLinkFieldId', 'prefersSingleRecordLink']) {
+            if (fieldSpec[key] !== undefined && options[key] === undefined) {
+                options[key] = fieldSpec[key];
+            }
+        }
+    }
+    
+    return {
+        id: fieldSpec.id,
+        name: fieldSpec.name,
+        type: fieldSpec.type,
+        description: fieldSpec.description || '',
+        options: Object.keys(options).length > 0 ? options : null,
+        isComputed: fieldSpec.isComputed !== undefined
+            ? Boolean(fieldSpec.isComputed)
+            : COMPUTED_FIELD_TYPES.includes(fieldSpec.type)
+    };
+}
+
+// Convert a REST-style cell value to the shape getCellValue returns in the Scripting extension
+function normalizeCellValue(field, value, resolveRecordName) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    
+    const choices = (field.options && field.options.choices) || [];
+    const toChoice = (item) => {
+        if (typeof item !== 'string') return item;
+        return choices.find(c => c.name === item) || { name: item };
+    };
+    
+    switch (field.type) {
+        case 'singleSelect':
+            return toChoice(value);
+        case 'multipleSelects':
+            return Array.isArray(value) ? value.map(toChoice) : [toChoice(value)];
+        case 'multipleRecordLinks':
+            return (Array.isArray(value) ? value : [value]).map(item => {
+                if (typeof item !== 'string') return item;
+                const name = resolveRecordName(field.options && field.options.linkedTableId, item);
+                return name !== null ? { id: item, name } : { id: item };
+            });
+        default:
+            return value;
+    }
+}
+
+// Format a cell value roughly the way getCellValueAsString does
+function cellValueToString(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(cellValueToString).join(', ');
+    if (typeof value === 'object') {
+        return String(value.name || value.filename || value.email || value.text || value.id || '');
+    }
+    return String(value);
+}
+
+// Records for a table from a fixture file keyed by table ID or name
+function getFixtureRecords(fixtures, tableSpec) {
+    const entry = fixtures[tableSpec.id] || fixtures[tableSpec.name];
+    if (!entry) return [];
+    return Array.isArray(entry) ? entry : (entry.records || []);
+}
+
+// Build a scripting-like `base` from metadata and optional record fixtures
+function createBaseFromMetadata(metadata, options = {}) {
+    if (!metadata || !Array.isArray(metadata.tables)) {
+        throw new Error('Schema file must contain a "tables" array (Airtable metadata API response or a JSON export)');
+    }
+    
+    const fromExport = isSchemaExport(metadata);
+    const fixtures = options.records || {};
+    const tables = [];
+    
+    const base = {
+        id: options.baseId || metadata.baseId || metadata.id || 'appHEADLESS',
+        name: options.baseName || metadata.baseName || metadata.name || 'Airtable Base',
+        tables,
+        getTable: (idOrName) => {
+            const table = base.getTableIfExists(idOrName);
+            if (!table) {
+                throw new Error(`No table with ID or name "${idOrName}"`);
+            }
+            return table;
+        },
+        getTableIfExists: (idOrName) => tables.find(t => t.id === idOrName) || tables.find(t => t.name === idOrName) || null
+    };
+    
+    // Primary field value of a linked record, when fixtures for that table are loaded
+    const resolveRecordName = (tableId, recordId) => {
+        const table = tables.find(t => t.id === tableId);
+        if (!table) return null;
+        const record = table.rawRecords.find(r => r.id === recordId);
+        if (!record) return null;
+        return cellValueToString(record.fields[table.primaryField.name] ?? record.fields[table.primaryField.id]);
+    };
+    
+    for (const tableSpec of metadata.tables) {
+        const fields = (tableSpec.fields || []).map(f => normalizeField(f, fromExport));
+        
+        // The analyzer treats the first field as the primary field
+        const primaryIndex = fields.findIndex(f => f.id === tableSpec.primaryFieldId);
+        if (primaryIndex > 0) {
+            fields.unshift(...fields.splice(primaryIndex, 1));
+        }
+        
+        const table = {
+            id: tableSpec.id,
+            name: tableSpec.name,
+            description: tableSpec.description && tableSpec.description !== 'No description' ? tableSpec.description : '',
+            fields,
+            views: (tableSpec.views || []).map(v => ({ id: v.id, name: v.name, type: v.type })),
+            primaryField: fields[0] || null,
+            rawRecords: getFixtureRecords(fixtures, tableSpec).map(r => ({ id: r.id, fields: r.fields || {} }))
+        };
+        
+        table.getFieldIfExists = (idOrName) => fields.find(f => f.id === idOrName) || fields.find(f => f.name === idOrName) || null;
+        table.getField = (idOrName) => {
+            const field = table.getFieldIfExists(idOrName);
+            if (!field) {
+                throw new Error(`No field with ID or name "${idOrName}" in table ${table.name}`);
+            }
+            return field;
+        };
+        
+        table.selectRecordsAsync = async () => {
+            const records = table.rawRecords.map(raw => {
+                const getCellValue = (fieldOrIdOrName) => {
+                    const field = typeof fieldOrIdOrName === 'object' ? fieldOrIdOrName : table.getField(fieldOrIdOrName);
+                    const value = raw.fields[field.name] !== undefined ? raw.fields[field.name] : raw.fields[field.id];
+                    return normalizeCellValue(field, value, resolveRecordName);
+                };
+                return {
+                    id: raw.id,
+                    name: table.primaryField ? cellValueToString(getCellValue(table.primaryField)) : '',
+                    getCellValue,
+                    getCellValueAsString: (fieldOrIdOrName) => cellValueToString(getCellValue(fieldOrIdOrName))
+                };
+            });
+            return {
+                records,
+                recordIds: records.map(r => r.id),
+                getRecord: (recordId) => records.find(r => r.id === recordId) || null
+            };
+        };
+        
+        tables.push(table);
+    }
+    
+    return base;
+}
+
+module.exports = {
+    createBaseFromMetadata
+};
@@ -0,0 +1,142 @@
+/**
+ * Tests for the headless runtime and the CLI
+ *
+ * Usage:
+ *   node --test cli/test/
+ *
+ * Runs the analyzer against the metadata and record fixtures in ./fixtures.
+ */
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { loadAnalyzer } = require('../headless-runtime');
+const { createBaseFromMetadata } = require('../metadata-base');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CLI_PATH = path.join(__dirname, '..', 'analyze.js');
+
+// Fresh copies of the fixtures, so no test sees another test's changes
+function readFixture(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, fileName), 'utf8'));
+}
+
+// Base built from the fixtures
+function createFixtureBase() {
+    return createBaseFromMetadata(readFixture('metadata.json'), { records: readFixture('records.json') });
+}
+
+// Run the CLI into a temporary directory and return its stdout and written files
+function runCli(args) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-analyzer-'));
+    try {
+        const stdout = execFileSync(process.execPath, [
+            CLI_PATH,
+            '--schema', path.join(FIXTURES, 'metadata.json'),
+            '--records', path.join(FIXTURES, 'records.json'),
+            '--out', out,
+            ...args
+        ], { encoding: 'utf8' });
+        const files = {};
+        for (const fileName of fs.readdirSync(out)) {
+            files[fileName] = fs.readFileSync(path.join(out, fileName), 'utf8');
+        }
+        return { stdout, files };
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+}
+
+test('createBaseFromMetadata moves the primary field first', () => {
+    const customers = createFixtureBase().getTable('Customers');
+    assert.strictEqual(customers.primaryField.id, 'fldCustName00001');
+    assert.deepStrictEqual(customers.fields.map(f => f.name), ['Name', 'Notes', 'Tier', 'Orders']);
+    assert.strictEqual(customers.getField('Tier').isComputed, false);
+});
+
+test('createBaseFromMetadata normalizes select and link cells', async () => {
+    const base = createFixtureBase();
+    const query = await base.getTable('Customers').selectRecordsAsync();
+    const acme = query.getRecord('recCust000000001');
+    
+    assert.strictEqual(acme.name, 'Acme');
+    assert.deepStrictEqual(acme.getCellValue('Tier'), { id: 'selGold000000001', name: 'Gold', color: 'yellowLight2' });
+    assert.deepStrictEqual(acme.getCellValue('Orders'), [
+        { id: 'recOrder00000001', name: 'SO-1' },
+        { id: 'recOrder00000002', name: 'SO-2' }
+    ]);
+    assert.strictEqual(acme.getCellValueAsString('Orders'), 'SO-1, SO-2');
+    
+    // Fixtures keyed by table ID load too
+    const orders = await base.getTable('Orders').selectRecordsAsync();
+    assert.strictEqual(orders.records.length, 3);
+});
+
+test('createBaseFromMetadata rejects a file without tables', () => {
+    assert.throws(() => createBaseFromMetadata({}), /"tables" array/);
+});
+
+test('analysis reads structure, records and relationships', async () => {
+    const { AirtableSchemaAnalyzer, CONFIG } = await loadAnalyzer(createFixtureBase());
+    CONFIG.TIME_BUDGET_SECONDS = 0;
+    CONFIG.INFER_CARDINALITY = true;
+    
+    const analyzer = new AirtableSchemaAnalyzer();
+    assert.strictEqual(await analyzer.runAnalysis(), true);
+    
+    const schema = analyzer.schema;
+    assert.deepStrictEqual(schema.tables.map(t => [t.name, t.recordCount]), [['Customers', 2], ['Orders', 3]]);
+    assert.strictEqual(schema.analysis.complete, true);
+    assert.strictEqual(schema.relationships.length, 1);
+    
+    const relationship = schema.relationships[0];
+    assert.strictEqual(relationship.fromFieldId, 'fldCustOrders001');
+    assert.strictEqual(relationship.toFieldId, 'fldOrdCustomer01');
+    assert.strictEqual(relationship.cardinality, '1:N');
+    assert.strictEqual(relationship.inferredCardinality.cardinality, '1:N');
+    
+    const tier = schema.tables[0].fields.find(f => f.name === 'Tier');
+    assert.deepStrictEqual(tier.choiceUsage.counts, { selGold000000001: 1, selSilver0000001: 1 });
+});
+
+test('CLI writes the requested exports', () => {
+    const { stdout, files } = runCli(['--infer-cardinality', '--format', 'json,mermaid,csv']);
+    
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+        'choices.csv', 'fields.csv', 'relationships.csv', 'schema.json', 'schema.mmd', 'tables.csv', 'views.csv'
+    ]);
+    assert.match(stdout, /^Complexity: /m);
+    
+    const schema = JSON.parse(files['schema.json']);
+    assert.deepStrictEqual(schema.tables.map(t => t.id), ['tblCustomers0001', 'tblOrders0000001']);
+    assert.strictEqual(schema.relationships.length, 1);
+    
+    // Diagrams carry no timestamp, so the whole file is compared
+    assert.strictEqual(files['schema.mmd'], [
+        'erDiagram',
+        '    Customers {',
+        '        singleLineText Name PK "Name"',
+        '    }',
+        '    Orders {',
+        '        singleLineText Order PK "Order"',
+        '    }',
+        '    Customers |o--o{ Orders : "Orders / Customer"',
+        ''
+    ].join('\n'));
+    
+    assert.strictEqual(files['relationships.csv'].split('\r\n')[1],
+        'fldCustOrders001,tblCustomers0001,Customers,Orders,tblOrders0000001,Orders,fldOrdCustomer01,Customer,1:N,1:N,false,false,linked');
+});
+
+test('CLI limits the analysis to the selected tables', () => {
+    const { stdout, files } = runCli(['--tables', 'Orders', '--format', 'json,sql']);
+    
+    assert.match(stdout, /^Scope: 1 of 2 tables/m);
+    const schema = JSON.parse(files['schema.json']);
+    assert.deepStrictEqual(schema.tables.map(t => t.name), ['Orders']);
+    assert.deepStrictEqual(schema.externalLinks.map(l => [l.fieldId, l.reason]), [['fldOrdCustomer01', 'outOfScope']]);
+    assert.match(files['schema.sql'], /link to Customers \(outside the scope\)/);
+});